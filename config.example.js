@@ -19,13 +19,53 @@ module.exports = {
   // API endpoint (don't change unless Printavo updates it)
   PRINTAVO_API: 'https://www.printavo.com/api/v2',
   
-  // Rate limiting (Printavo allows 10 requests per 5 seconds)
-  RATE_LIMIT_DELAY: 650,  // milliseconds between requests
+  // Rate limiting (Printavo allows 10 requests per 5 seconds).
+  // All API requests share one limiter; 429 / Retry-After responses pause it.
+  RATE_LIMIT_REQUESTS: 10,      // requests allowed per window
+  RATE_LIMIT_WINDOW: 5000,      // window length in milliseconds
+  MAX_RATE_LIMIT_RETRIES: 10,   // rate-limit responses tolerated per request
   
   // Retry configuration
   RETRY_DELAY: 5000,      // milliseconds before retry
   MAX_RETRIES: 3,         // number of retries per request
+  REQUEST_TIMEOUT: 60000, // milliseconds before an API request is abandoned and retried
+  
+  // File downloads (download-files.js)
+  DOWNLOAD_CONCURRENCY: 8,      // files downloaded at once
+  MAX_CONNECTIONS_PER_HOST: 4,  // open connections to any one host (cdn.filepicker.io...)
+  DOWNLOAD_DELAY: 100,          // milliseconds each worker waits between files
+  
+  // Order documents (work orders, packing slips) are Printavo web pages that
+  // may need a signed-in browser session as well as the API token. Copy the
+  // Cookie header from a logged-in browser request to printavo.com if
+  // download-files.js reports "Printavo sign-in page returned".
+  PRINTAVO_SESSION_COOKIE: '',
   
   // Output directory (relative to script location)
   DATA_DIR: './data',
+  
+  // GraphQL query files (relative to repo root). Edit the .graphql files to
+  // add fields; the extractor validates them at startup.
+  QUERIES_DIR: './queries',
+  
+  // Accounting export (export-accounting.js): account and item names as they
+  // appear in your accounting system. ITEMS maps a line item category name to
+  // an item and, optionally, its own income account; other line items use
+  // DEFAULT_ITEM and INCOME_ACCOUNT.
+  ACCOUNTING: {
+    RECEIVABLE_ACCOUNT: 'Accounts Receivable',
+    INCOME_ACCOUNT: 'Sales',
+    FEE_ACCOUNT: 'Sales',
+    DISCOUNT_ACCOUNT: 'Discounts Given',
+    SALES_TAX_ACCOUNT: 'Sales Tax Payable',
+    DEPOSIT_ACCOUNT: 'Undeposited Funds',
+    DEFAULT_ITEM: 'Printing',
+    FEE_ITEM: 'Fee',
+    DISCOUNT_ITEM: 'Discount',
+    SALES_TAX_ITEM: 'Sales Tax',
+    ADJUSTMENT_ITEM: 'Adjustment',   // absorbs rounding so each invoice matches its Printavo total
+    ITEMS: {
+      // 'Screen Printing': { item: 'Screen Printing', account: 'Screen Printing Income' },
+    }
+  },
 };
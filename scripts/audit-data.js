@@ -1,8 +1,9 @@
 const fs = require('fs');
 const path = require('path');
+const { ORDER_DIRS, DATA_FILES, resolveDataDir, loadBackup } = require('./lib/data-loader');
 
 // Configuration
-const OUTPUT_DIR = './output';
+const DATA_DIR = resolveDataDir();
 const AUDIT_OUTPUT_DIR = './audit-output';
 
 // Analysis thresholds
@@ -61,46 +62,21 @@ function logInfo(message) {
 // Data Loading Functions
 // ============================================================================
 
-function loadJSONFile(filename) {
-  const filepath = path.join(OUTPUT_DIR, filename);
-  try {
-    if (!fs.existsSync(filepath)) {
-      logWarning(`File not found: ${filename}`);
-      return null;
-    }
-    const data = fs.readFileSync(filepath, 'utf8');
-    const parsed = JSON.parse(data);
-    logSuccess(`Loaded ${filename}`);
-    return parsed;
-  } catch (err) {
-    logError(`Failed to load ${filename}: ${err.message}`);
-    return null;
-  }
-}
-
 function loadAllData() {
   logSection('Loading Data Files');
+  logInfo(`Data directory: ${DATA_DIR}`);
   
-  const data = {
-    account: loadJSONFile('account.json'),
-    user: loadJSONFile('user.json'),
-    contacts: loadJSONFile('contacts.json') || [],
-    customers: loadJSONFile('customers.json') || [],
-    inquiries: loadJSONFile('inquiries.json') || [],
-    invoices: loadJSONFile('invoices.json') || [],
-    quotes: loadJSONFile('quotes.json') || [],
-    orders: loadJSONFile('orders.json') || [],
-    products: loadJSONFile('products.json') || [],
-    statuses: loadJSONFile('statuses.json') || [],
-    tasks: loadJSONFile('tasks.json') || [],
-    threads: loadJSONFile('threads.json') || [],
-    transactions: loadJSONFile('transactions.json') || [],
-    paymentRequests: loadJSONFile('payment_requests.json') || [],
-    merchStores: loadJSONFile('merch_stores.json') || [],
-    merchOrders: loadJSONFile('merch_orders.json') || []
-  };
+  const data = loadBackup({
+    dataDir: DATA_DIR,
+    onLoad: name => logSuccess(`Loaded ${name}`),
+    onMissing: name => logWarning(`File not found: ${name}`),
+    onError: (name, err) => logError(`Failed to load ${name}: ${err.message}`)
+  });
   
-  logInfo(`Total files loaded: ${Object.keys(data).filter(k => data[k] !== null).length}/16`);
+  const sources = Object.keys(ORDER_DIRS).length + Object.keys(DATA_FILES).length;
+  const loaded = [...Object.keys(ORDER_DIRS), ...Object.keys(DATA_FILES)]
+    .filter(k => data[k] !== null && (!Array.isArray(data[k]) || data[k].length > 0)).length;
+  logInfo(`Total sources loaded: ${loaded}/${sources}`);
   
   return data;
 }
@@ -660,26 +636,30 @@ function analyzeSizeAndVolume(data) {
     smallRecords: []
   };
   
-  // Analyze JSON file sizes
-  const files = [
-    'account.json', 'user.json', 'contacts.json', 'customers.json',
-    'inquiries.json', 'invoices.json', 'quotes.json', 'orders.json',
-    'products.json', 'statuses.json', 'tasks.json', 'threads.json',
-    'transactions.json', 'payment_requests.json', 'merch_stores.json',
-    'merch_orders.json'
-  ];
+  // Analyze JSON file sizes (order directories count as the sum of their files)
+  const sources = {};
+  Object.entries(ORDER_DIRS).forEach(([dataKey, dirName]) => { sources[`${dirName}/`] = dataKey; });
+  Object.entries(DATA_FILES).forEach(([dataKey, filename]) => { sources[filename] = dataKey; });
+  
+  function sourceSize(filepath) {
+    const fileStats = fs.statSync(filepath);
+    if (!fileStats.isDirectory()) return fileStats.size;
+    return fs.readdirSync(filepath)
+      .filter(name => name.endsWith('.json'))
+      .reduce((sum, name) => sum + fs.statSync(path.join(filepath, name)).size, 0);
+  }
   
   let totalBytes = 0;
-  files.forEach(filename => {
-    const filepath = path.join(OUTPUT_DIR, filename);
+  Object.keys(sources).forEach(filename => {
+    const filepath = path.join(DATA_DIR, filename);
     if (fs.existsSync(filepath)) {
-      const fileStats = fs.statSync(filepath);
+      const size = sourceSize(filepath);
       stats.dataFiles[filename] = {
-        size: fileStats.size,
-        sizeKB: (fileStats.size / 1024).toFixed(2),
-        sizeMB: (fileStats.size / 1024 / 1024).toFixed(2)
+        size,
+        sizeKB: (size / 1024).toFixed(2),
+        sizeMB: (size / 1024 / 1024).toFixed(2)
       };
-      totalBytes += fileStats.size;
+      totalBytes += size;
     }
   });
   
@@ -785,19 +765,9 @@ function analyzeSizeAndVolume(data) {
     });
   }
   
-  // Mapping for filename to data key conversions
-  const filenameToDataKey = {
-    'payment_requests.json': 'paymentRequests',
-    'merch_stores.json': 'merchStores',
-    'merch_orders.json': 'merchOrders'
-  };
-  
   // Check for potential data truncation by comparing file sizes to record counts
   Object.entries(stats.dataFiles).forEach(([filename, fileInfo]) => {
-    let dataKey = filename.replace('.json', '');
-    if (filenameToDataKey[filename]) {
-      dataKey = filenameToDataKey[filename];
-    }
+    const dataKey = sources[filename];
     
     const records = data[dataKey];
     if (Array.isArray(records) && records.length > 0) {
@@ -1156,7 +1126,7 @@ function generateSourceOfTruthManifest(data, analyses) {
       }, 0)
     },
     fileManifest: {
-      location: './output',
+      location: DATA_DIR,
       files: analyses.sizeVolume.stats.dataFiles,
       totalSize: analyses.sizeVolume.stats.totalSize
     },
@@ -1190,8 +1160,8 @@ async function main() {
   
   const hasData = Object.values(data).some(d => d !== null && (Array.isArray(d) ? d.length > 0 : true));
   if (!hasData) {
-    logError('No data files found in output directory!');
-    logInfo('Please run extract.js first to download data from Printavo.');
+    logError(`No data files found in ${DATA_DIR}!`);
+    logInfo('Please run extract-all-data.js first to download data from Printavo.');
     process.exit(1);
   }
   
@@ -2,15 +2,24 @@
 /**
  * Printavo File Download Script
  * 
- * Downloads artwork files from Filestack CDN after extraction.
+ * Downloads artwork files and message attachments from Filestack CDN after extraction.
  * Run this AFTER extract-all-data.js completes.
  * 
  * Features:
- * - Parses extracted JSON to find all file URLs
- * - Downloads with rate limiting
- * - Skips existing files
+ * - Parses extracted JSON to find all file URLs, including each order's
+ *   rendered documents (invoice PDF, work order, packing slip, public page)
+ * - Downloads in parallel (DOWNLOAD_CONCURRENCY workers, at most
+ *   MAX_CONNECTIONS_PER_HOST to any one host)
+ * - Names files by their real type (Content-Type, Content-Disposition,
+ *   original name, then the file's own bytes) instead of .bin
+ * - Skips existing files; re-fetches stored files that are missing, empty
+ *   or the wrong size
+ * - Resumes interrupted downloads with Range requests and checks each one
+ *   against the server's Content-Length and checksums before storing it
+ * - Stores each file once by its SHA-256 (files/store/), however many
+ *   orders or buckets use it, and writes file-manifest.json
  * - Creates URL mapping CSV for database updates
- * - Progress tracking and resume capability
+ * - Progress tracking with ETA and resume capability
  * 
  * Usage:
  *   node scripts/download-files.js
@@ -20,6 +29,11 @@ const fs = require('fs');
 const path = require('path');
 const https = require('https');
 const http = require('http');
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+const { formatRow, parseCSV } = require('./lib/csv');
+const { detectExtension, sniffExtension, readHead } = require('./lib/file-types');
+const { FILE_BUCKETS, DOCUMENTS_BUCKET, extractAllUrls } = require('./lib/file-urls');
 
 // =============================================================================
 // CONFIGURATION
@@ -32,23 +46,38 @@ try {
   CONFIG = {};
 }
 
+CONFIG.PRINTAVO_API = CONFIG.PRINTAVO_API || 'https://www.printavo.com/api/v2';
 CONFIG.DATA_DIR = CONFIG.DATA_DIR || './data';
-CONFIG.DOWNLOAD_DELAY = CONFIG.DOWNLOAD_DELAY || 100; // ms between downloads
+CONFIG.DOWNLOAD_DELAY = CONFIG.DOWNLOAD_DELAY || 100; // ms between downloads (per worker)
+CONFIG.DOWNLOAD_CONCURRENCY = CONFIG.DOWNLOAD_CONCURRENCY || 8;
+CONFIG.MAX_CONNECTIONS_PER_HOST = CONFIG.MAX_CONNECTIONS_PER_HOST || 4;
 CONFIG.MAX_RETRIES = CONFIG.MAX_RETRIES || 3;
 
+// download-progress.json is rewritten at most this often while downloading
+const PROGRESS_SAVE_INTERVAL = 2000;
+// ...and a progress line with the ETA is logged this often
+const PROGRESS_LOG_INTERVAL = 10000;
+// Redirects followed for one download before it fails (a loop never ends)
+const MAX_REDIRECTS = 5;
+
+// How much of a downloaded HTML document is searched for a login form
+const LOGIN_CHECK_BYTES = 65536;
+
 const DATA_DIR = path.resolve(__dirname, '..', CONFIG.DATA_DIR);
-const INVOICES_DIR = path.join(DATA_DIR, 'invoices');
-const QUOTES_DIR = path.join(DATA_DIR, 'quotes');
 const FILES_DIR = path.join(DATA_DIR, 'files');
+const STORE_DIR = path.join(FILES_DIR, 'store');
+const TMP_DIR = path.join(FILES_DIR, '.tmp');
 const MAPPING_FILE = path.join(DATA_DIR, 'url-mapping.csv');
+const MANIFEST_FILE = path.join(DATA_DIR, 'file-manifest.json');
 const PROGRESS_FILE = path.join(DATA_DIR, 'download-progress.json');
 
-// File type directories
-const BUCKETS = {
-  'production-files': path.join(FILES_DIR, 'production-files'),
-  'line-item-mockups': path.join(FILES_DIR, 'line-item-mockups'),
-  'imprint-mockups': path.join(FILES_DIR, 'imprint-mockups')
-};
+// new_path is relative to files/ for rows with a sha256; rows written before
+// the store existed have none, and new_path is relative to files/<bucket>/
+const MAPPING_COLUMNS = ['old_url', 'bucket', 'new_path', 'visual_id', 'original_name', 'sha256', 'size'];
+
+// Where earlier versions saved files, by bucket (<handle><ext>). Files found
+// here are continued as partial downloads, then stored.
+const BUCKETS = Object.fromEntries(FILE_BUCKETS.map(bucket => [bucket, path.join(FILES_DIR, bucket)]));
 
 // =============================================================================
 // UTILITY FUNCTIONS
@@ -74,18 +103,40 @@ function ensureDir(dir) {
   }
 }
 
+/**
+ * download-progress.json: `downloaded` lists the URLs stored, `failed` maps
+ * each URL that failed on its last attempt to { bucket, visualId, error }
+ */
 function loadProgress() {
+  let progress = null;
   try {
     if (fs.existsSync(PROGRESS_FILE)) {
-      return JSON.parse(fs.readFileSync(PROGRESS_FILE, 'utf8'));
+      progress = JSON.parse(fs.readFileSync(PROGRESS_FILE, 'utf8'));
     }
   } catch (e) {}
-  return { downloaded: [], failed: [], startedAt: new Date().toISOString() };
+  if (!progress) return { downloaded: [], failed: {}, startedAt: new Date().toISOString() };
+
+  // Earlier versions appended every failure to an array, run after run
+  if (Array.isArray(progress.failed)) {
+    progress.failed = Object.fromEntries(progress.failed.map(({ url, ...file }) => [url, file]));
+  }
+  progress.failed = progress.failed || {};
+  return progress;
 }
 
+// Written to a temp file and renamed, so a crash mid-save can't leave it truncated
 function saveProgress(progress) {
   progress.lastUpdated = new Date().toISOString();
-  fs.writeFileSync(PROGRESS_FILE, JSON.stringify(progress, null, 2));
+  fs.writeFileSync(`${PROGRESS_FILE}.tmp`, JSON.stringify(progress, null, 2));
+  fs.renameSync(`${PROGRESS_FILE}.tmp`, PROGRESS_FILE);
+}
+
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
 }
 
 /**
@@ -111,9 +162,11 @@ function extractFileHandle(url) {
 }
 
 /**
- * Extract file extension from URL or default
+ * The extension earlier versions named files with, from the URL suffix or the
+ * API mimeType - only used to find files they saved under files/<bucket>/.
+ * New downloads use detectExtension (lib/file-types.js).
  */
-function extractExtension(url, mimeType) {
+function legacyExtension(url, mimeType) {
   // Try URL parameter first
   const paramMatch = url.match(/\+\.(\w+)/);
   if (paramMatch) return `.${paramMatch[1]}`;
@@ -137,137 +190,458 @@ function extractExtension(url, mimeType) {
 }
 
 /**
- * Download a single file
+ * Headers for Printavo's own pages (work orders and packing slips need a
+ * signed-in user): the API email and token, plus PRINTAVO_SESSION_COOKIE if
+ * set. Other hosts (the file CDN) get nothing.
+ */
+function authHeaders(url) {
+  let target;
+  let api;
+  try {
+    target = new URL(url);
+    api = new URL(CONFIG.PRINTAVO_API);
+  } catch (e) {
+    return {};
+  }
+  if (target.host !== api.host && !/(^|\.)printavo\.com$/.test(target.hostname)) return {};
+  
+  const headers = {};
+  if (CONFIG.PRINTAVO_EMAIL && CONFIG.PRINTAVO_TOKEN) {
+    headers.email = CONFIG.PRINTAVO_EMAIL;
+    headers.token = CONFIG.PRINTAVO_TOKEN;
+  }
+  if (CONFIG.PRINTAVO_SESSION_COOKIE) headers.Cookie = CONFIG.PRINTAVO_SESSION_COOKIE;
+  return headers;
+}
+
+// Total length and first byte from a Content-Range header: "bytes 100-999/1000",
+// or "bytes */1000" (no first byte) on a 416
+function parseContentRange(header) {
+  const match = header && header.match(/^bytes (?:(\d+)-\d+|\*)\/(\d+)$/);
+  if (!match) return null;
+  return { start: match[1] === undefined ? null : Number(match[1]), total: Number(match[2]) };
+}
+
+/**
+ * Whole-file checksums the server sent: Digest / Repr-Digest (sha-256, md5),
+ * and Content-MD5 when the response is the whole file. Values are base64.
+ */
+function expectedChecksums(headers, wholeFile) {
+  const checksums = [];
+  const digests = `${headers['digest'] || ''},${headers['repr-digest'] || ''}`;
+  for (const part of digests.split(',')) {
+    const match = part.trim().match(/^(sha-256|md5)=:?([A-Za-z0-9+/=]+):?$/i);
+    if (match) checksums.push({ algorithm: match[1].toLowerCase() === 'md5' ? 'md5' : 'sha256', value: match[2] });
+  }
+  if (wholeFile && headers['content-md5']) {
+    checksums.push({ algorithm: 'md5', value: headers['content-md5'].trim() });
+  }
+  return checksums;
+}
+
+/**
+ * Download a file into partPath, continuing from its current length with a
+ * Range request when it already exists. Bytes received before a failure stay
+ * in partPath for the next attempt. Resolves to { contentType, disposition,
+ * expectedSize, checksums } for verifyDownload.
  */
-function downloadFile(url, destPath) {
+function downloadFile(url, partPath, redirects = 0) {
   return new Promise((resolve, reject) => {
     const protocol = url.startsWith('https') ? https : http;
+    const offset = fs.existsSync(partPath) ? fs.statSync(partPath).size : 0;
+    // Worked out per request, so a redirect to another host drops the credentials
+    const headers = { ...authHeaders(url), ...(offset > 0 && { Range: `bytes=${offset}-` }) };
     
-    const request = protocol.get(url, (response) => {
+    const request = protocol.get(url, { headers }, (response) => {
+      const meta = {
+        contentType: response.headers['content-type'],
+        disposition: response.headers['content-disposition']
+      };
+      
       // Handle redirects
       if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
-        downloadFile(response.headers.location, destPath)
+        response.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          reject(new Error(`Too many redirects (more than ${MAX_REDIRECTS})`));
+          return;
+        }
+        downloadFile(new URL(response.headers.location, url).href, partPath, redirects + 1)
           .then(resolve)
           .catch(reject);
         return;
       }
       
-      if (response.statusCode !== 200) {
-        reject(new Error(`HTTP ${response.statusCode}`));
+      // Nothing past the end of the partial file: it was already complete
+      if (response.statusCode === 416 && offset > 0) {
+        response.resume();
+        const range = parseContentRange(response.headers['content-range']);
+        if (range && range.total === offset) {
+          resolve({ ...meta, expectedSize: offset, checksums: expectedChecksums(response.headers, false) });
+        } else {
+          fs.rmSync(partPath, { force: true });
+          reject(new Error('HTTP 416 - partial download discarded'));
+        }
         return;
       }
       
-      const fileStream = fs.createWriteStream(destPath);
-      response.pipe(fileStream);
+      if (response.statusCode !== 200 && response.statusCode !== 206) {
+        response.resume();
+        reject(new Error(`HTTP ${response.statusCode}`));
+        return;
+      }
       
-      fileStream.on('finish', () => {
-        fileStream.close();
-        resolve(true);
-      });
+      let expectedSize = null;
+      let flags = 'w'; // a 200 to a Range request is the whole file: start over
+      if (response.statusCode === 206) {
+        const range = parseContentRange(response.headers['content-range']);
+        if (!range || range.start !== offset) {
+          response.resume();
+          fs.rmSync(partPath, { force: true });
+          reject(new Error(`Unexpected Content-Range "${response.headers['content-range']}" - partial download discarded`));
+          return;
+        }
+        expectedSize = range.total;
+        flags = 'a';
+      } else if (response.headers['content-length'] !== undefined) {
+        expectedSize = Number(response.headers['content-length']);
+      }
       
-      fileStream.on('error', (err) => {
-        fs.unlink(destPath, () => {}); // Clean up partial file
-        reject(err);
+      pipeline(response, fs.createWriteStream(partPath, { flags }), (err) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve({ ...meta, expectedSize, checksums: expectedChecksums(response.headers, response.statusCode === 200) });
+        }
       });
     });
     
     request.on('error', reject);
     request.setTimeout(30000, () => {
-      request.destroy();
-      reject(new Error('Timeout'));
+      request.destroy(new Error('Timeout'));
     });
   });
 }
 
+/**
+ * Check a finished download against the length and checksums the server
+ * sent. A short file is kept so the next attempt can continue it; anything
+ * else that fails is deleted. Resolves to { sha256, size }.
+ */
+async function verifyDownload(partPath, { expectedSize, checksums }) {
+  const { size } = fs.statSync(partPath);
+  if (expectedSize !== null && size < expectedSize) {
+    throw new Error(`Incomplete download: ${size} of ${expectedSize} bytes`);
+  }
+  if (expectedSize !== null && size > expectedSize) {
+    fs.rmSync(partPath, { force: true });
+    throw new Error(`Download too long: ${size} of ${expectedSize} bytes`);
+  }
+  if (size === 0) {
+    fs.rmSync(partPath, { force: true });
+    throw new Error('Empty download');
+  }
+  
+  for (const { algorithm, value } of checksums) {
+    const actual = (await digestFile(partPath, algorithm)).toString('base64');
+    if (actual !== value) {
+      fs.rmSync(partPath, { force: true });
+      throw new Error(`${algorithm} checksum mismatch`);
+    }
+  }
+  
+  return hashFile(partPath);
+}
+
+/**
+ * Fail an order document that turned out to be Printavo's sign-in page
+ * (a redirect to it is followed like any other)
+ */
+function checkDocument(partPath) {
+  const fd = fs.openSync(partPath, 'r');
+  let text;
+  try {
+    const buffer = Buffer.alloc(LOGIN_CHECK_BYTES);
+    text = buffer.subarray(0, fs.readSync(fd, buffer, 0, LOGIN_CHECK_BYTES, 0)).toString('utf8');
+  } finally {
+    fs.closeSync(fd);
+  }
+  
+  if (/<input[^>]+type=["']?password/i.test(text)) {
+    fs.rmSync(partPath, { force: true });
+    throw new Error('Printavo sign-in page returned - set PRINTAVO_SESSION_COOKIE in config.js');
+  }
+}
+
 // =============================================================================
-// URL EXTRACTION
+// CONTENT-ADDRESSED STORE
 // =============================================================================
 
+function digestFile(filePath, algorithm) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash(algorithm);
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest()))
+      .on('error', reject);
+  });
+}
+
+async function hashFile(filePath) {
+  const sha256 = (await digestFile(filePath, 'sha256')).toString('hex');
+  return { sha256, size: fs.statSync(filePath).size };
+}
+
 /**
- * Extract all file URLs from extracted order data
+ * Move a hashed file into the store: files/store/<first 2 hex>/<sha256><ext>.
+ * Content already in the store (from any URL or bucket) is kept as it is and
+ * the new copy deleted. `objects` maps sha256 -> path relative to files/.
+ * Returns the stored path relative to files/.
  */
-function extractAllUrls() {
-  const urls = {
-    'production-files': [],
-    'line-item-mockups': [],
-    'imprint-mockups': []
-  };
+function addToStore(filePath, sha256, ext, objects) {
+  const existing = objects.get(sha256);
+  if (existing && fs.existsSync(path.join(FILES_DIR, existing))) {
+    fs.unlinkSync(filePath);
+    return existing;
+  }
   
-  const processOrder = (orderData, visualId) => {
-    // Production files
-    orderData.productionFiles?.nodes?.forEach(file => {
-      if (file.fileUrl) {
-        urls['production-files'].push({
-          url: file.fileUrl,
-          visualId,
-          originalName: file.name,
-          mimeType: file.mimeType,
-          printavoId: file.id
-        });
-      }
-    });
+  const storedPath = path.posix.join('store', sha256.slice(0, 2), `${sha256}${ext}`);
+  const target = path.join(FILES_DIR, storedPath);
+  ensureDir(path.dirname(target));
+  if (fs.existsSync(target)) {
+    fs.unlinkSync(filePath);
+  } else {
+    fs.renameSync(filePath, target);
+  }
+  objects.set(sha256, storedPath);
+  return storedPath;
+}
+
+/**
+ * Whether a mapped URL's stored copy is still there and the size recorded
+ * for it. A stored file that is empty or the wrong size is deleted so the
+ * URL is downloaded again.
+ */
+function isStored(row, objects) {
+  if (!row || !row.sha256) return false;
+  const storedPath = path.join(FILES_DIR, row.new_path);
+  if (!fs.existsSync(storedPath)) return false;
+  
+  const { size } = fs.statSync(storedPath);
+  if (size > 0 && size === Number(row.size)) return true;
+  
+  fs.unlinkSync(storedPath);
+  objects.delete(row.sha256);
+  return false;
+}
+
+/**
+ * Where a URL is downloaded to until it is verified and stored. The name is
+ * the same every run, so an interrupted download is continued, not restarted.
+ */
+function partPathFor(url, handle) {
+  const key = crypto.createHash('sha1').update(url).digest('hex').slice(0, 8);
+  return path.join(TMP_DIR, `${handle}-${key}.part`);
+}
+
+function mappingRow(url, bucket, storedPath, visualId, originalName, { sha256, size }) {
+  return { old_url: url, bucket, new_path: storedPath, visual_id: visualId, original_name: originalName, sha256, size };
+}
+
+/**
+ * url-mapping.csv rows as objects, upgraded to the current columns. Files
+ * saved by earlier versions under files/<bucket>/ may have been cut short,
+ * and nothing recorded their size, so their rows are dropped and the files
+ * become partial downloads: the download loop continues each one from its
+ * length (a complete file costs one empty Range request) and maps it again.
+ */
+function loadMapping(objects) {
+  if (!fs.existsSync(MAPPING_FILE)) {
+    fs.writeFileSync(MAPPING_FILE, formatRow(MAPPING_COLUMNS));
+    return [];
+  }
+  
+  const [header, ...records] = parseCSV(fs.readFileSync(MAPPING_FILE, 'utf8'));
+  const rows = records
+    .filter(record => record.length > 1)
+    .map(record => Object.fromEntries(header.map((column, i) => [column, record[i] || ''])));
+  
+  if (MAPPING_COLUMNS.every(column => header.includes(column))) {
+    for (const row of rows.filter(row => row.sha256)) objects.set(row.sha256, row.new_path);
+    return rows;
+  }
+  
+  log('Checking previously downloaded files against the server before storing them...');
+  let migrated = 0;
+  for (const row of rows) {
+    const legacyPath = path.join(FILES_DIR, row.bucket, row.new_path);
+    const handle = row.bucket === DOCUMENTS_BUCKET ? row.original_name : extractFileHandle(row.old_url);
+    // Missing files are fetched again; empty ones are no head start
+    if (!handle || !fs.existsSync(legacyPath)) continue;
     
-    // Line items and imprints
-    orderData.lineItemGroups?.nodes?.forEach(group => {
-      // Line item mockups
-      group.lineItems?.nodes?.forEach(item => {
-        item.mockups?.nodes?.forEach(mockup => {
-          if (mockup.fullImageUrl) {
-            urls['line-item-mockups'].push({
-              url: mockup.fullImageUrl,
-              visualId,
-              originalName: `mockup-${mockup.id}`,
-              mimeType: mockup.mimeType,
-              printavoId: mockup.id
-            });
-          }
-        });
-      });
+    const partPath = partPathFor(row.old_url, handle);
+    if (fs.statSync(legacyPath).size > 0 && !fs.existsSync(partPath)) {
+      fs.renameSync(legacyPath, partPath);
+      migrated++;
+    } else {
+      fs.unlinkSync(legacyPath);
+    }
+  }
+  
+  writeMapping([]);
+  log(`${migrated} files will be continued from what is on disk`);
+  return [];
+}
+
+function writeMapping(rows) {
+  const text = formatRow(MAPPING_COLUMNS) + rows.map(row => formatRow(MAPPING_COLUMNS.map(column => row[column]))).join('');
+  fs.writeFileSync(`${MAPPING_FILE}.tmp`, text);
+  fs.renameSync(`${MAPPING_FILE}.tmp`, MAPPING_FILE);
+}
+
+/**
+ * Give stored .bin files (saved before types were detected) their real
+ * extension, from the original name, the API mimeType or the file's bytes.
+ * `mimeTypes` maps url -> the API's mimeType.
+ */
+function renameBinFiles(rows, objects, mimeTypes) {
+  const renamed = new Map(); // old stored path -> new
+  
+  for (const row of rows) {
+    if (!row.sha256 || path.extname(row.new_path) !== '.bin') continue;
+    
+    if (!renamed.has(row.new_path)) {
+      const oldPath = path.join(FILES_DIR, row.new_path);
+      if (!fs.existsSync(oldPath)) continue;
       
-      // Imprint mockups
-      group.imprints?.nodes?.forEach(imprint => {
-        imprint.mockups?.nodes?.forEach(mockup => {
-          if (mockup.fullImageUrl) {
-            urls['imprint-mockups'].push({
-              url: mockup.fullImageUrl,
-              visualId,
-              originalName: `mockup-${mockup.id}`,
-              mimeType: mockup.mimeType,
-              printavoId: mockup.id
-            });
-          }
-        });
+      const ext = detectExtension({
+        name: row.original_name,
+        url: row.old_url,
+        mimeType: mimeTypes.get(row.old_url),
+        head: readHead(oldPath)
       });
-    });
-  };
-  
-  // Process invoices
-  if (fs.existsSync(INVOICES_DIR)) {
-    for (const file of fs.readdirSync(INVOICES_DIR)) {
-      if (!file.endsWith('.json')) continue;
-      try {
-        const data = JSON.parse(fs.readFileSync(path.join(INVOICES_DIR, file)));
-        processOrder(data, data.visualId);
-      } catch (e) {
-        logError(`Failed to parse ${file}: ${e.message}`);
+      if (ext === '.bin') continue;
+      
+      const storedPath = path.posix.join(path.posix.dirname(row.new_path), `${row.sha256}${ext}`);
+      const target = path.join(FILES_DIR, storedPath);
+      if (fs.existsSync(target)) {
+        fs.unlinkSync(oldPath);
+      } else {
+        fs.renameSync(oldPath, target);
       }
+      objects.set(row.sha256, storedPath);
+      renamed.set(row.new_path, storedPath);
     }
+    row.new_path = renamed.get(row.new_path);
   }
   
-  // Process quotes
-  if (fs.existsSync(QUOTES_DIR)) {
-    for (const file of fs.readdirSync(QUOTES_DIR)) {
-      if (!file.endsWith('.json')) continue;
-      try {
-        const data = JSON.parse(fs.readFileSync(path.join(QUOTES_DIR, file)));
-        processOrder(data, data.visualId);
-      } catch (e) {
-        logError(`Failed to parse ${file}: ${e.message}`);
-      }
+  if (renamed.size > 0) {
+    writeMapping(rows);
+    log(`Renamed ${renamed.size} .bin files to their detected type`);
+  }
+}
+
+/**
+ * file-manifest.json: every file reference in the backup (Printavo file id,
+ * URL, bucket, visualId) with the sha256, size and path of its stored copy,
+ * plus each stored object and how many references share it.
+ */
+function writeManifest(allUrls, mapped) {
+  const files = [];
+  const objects = {};
+  
+  for (const [bucket, urls] of Object.entries(allUrls)) {
+    for (const { url, visualId, originalName, mimeType, printavoId, document } of urls) {
+      const row = mapped.get(url);
+      if (!row || !row.sha256) continue;
+      
+      const size = Number(row.size);
+      const filePath = path.posix.join('files', row.new_path);
+      files.push({
+        printavoId, url, bucket, visualId, originalName, mimeType, ...(document && { document }),
+        sha256: row.sha256, size, path: filePath
+      });
+      
+      const object = objects[row.sha256] = objects[row.sha256] || { path: filePath, size, references: 0, buckets: [] };
+      object.references++;
+      if (!object.buckets.includes(bucket)) object.buckets.push(bucket);
     }
   }
   
-  return urls;
+  const stored = Object.values(objects);
+  const manifest = {
+    generatedAt: new Date().toISOString(),
+    algorithm: 'sha256',
+    summary: {
+      references: files.length,
+      objects: stored.length,
+      totalBytes: stored.reduce((sum, object) => sum + object.size, 0),
+      duplicateBytesSaved: stored.reduce((sum, object) => sum + object.size * (object.references - 1), 0)
+    },
+    files,
+    objects
+  };
+  
+  fs.writeFileSync(`${MANIFEST_FILE}.tmp`, JSON.stringify(manifest, null, 2));
+  fs.renameSync(`${MANIFEST_FILE}.tmp`, MANIFEST_FILE);
+  return manifest;
+}
+
+// =============================================================================
+// WORKER POOL
+// =============================================================================
+
+/**
+ * Caps open downloads per host. acquire() resolves once the host has a free
+ * slot; release() hands it to the next waiting worker.
+ */
+function createHostLimiter(limit) {
+  const hosts = new Map();
+  
+  const slot = (host) => {
+    if (!hosts.has(host)) hosts.set(host, { active: 0, waiting: [] });
+    return hosts.get(host);
+  };
+  
+  return {
+    async acquire(host) {
+      const state = slot(host);
+      if (state.active < limit) {
+        state.active++;
+        return;
+      }
+      await new Promise(resolve => state.waiting.push(resolve));
+    },
+    release(host) {
+      const state = slot(host);
+      const next = state.waiting.shift();
+      if (next) {
+        next(); // the slot passes straight to the waiting worker
+      } else {
+        state.active--;
+      }
+    }
+  };
+}
+
+/**
+ * Run worker(job) over every job with `concurrency` workers sharing the queue
+ */
+async function runPool(jobs, concurrency, worker) {
+  let next = 0;
+  const runWorker = async () => {
+    while (next < jobs.length) {
+      await worker(jobs[next++]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, jobs.length) }, runWorker));
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (e) {
+    return '';
+  }
 }
 
 // =============================================================================
@@ -279,12 +653,12 @@ async function downloadAllFiles() {
   log('║            PRINTAVO FILE DOWNLOAD                          ║');
   log('╚════════════════════════════════════════════════════════════╝');
   
-  // Ensure directories exist
-  Object.values(BUCKETS).forEach(ensureDir);
+  // Ensure directories exist; partial downloads in TMP_DIR are kept and resumed
+  [STORE_DIR, TMP_DIR].forEach(ensureDir);
   
   // Extract URLs from JSON files
   log('\nExtracting file URLs from extracted data...');
-  const allUrls = extractAllUrls();
+  const allUrls = extractAllUrls(DATA_DIR, (file, err) => logError(`Failed to parse ${file}: ${err.message}`));
   
   const totalCount = Object.values(allUrls).reduce((sum, arr) => sum + arr.length, 0);
   log(`\nFound ${totalCount} total files:`);
@@ -296,97 +670,215 @@ async function downloadAllFiles() {
   const progress = loadProgress();
   const downloadedSet = new Set(progress.downloaded);
   
-  // Initialize CSV mapping file
-  if (!fs.existsSync(MAPPING_FILE)) {
-    fs.writeFileSync(MAPPING_FILE, 'old_url,bucket,new_path,visual_id,original_name\n');
+  // Load the URL mapping and the store's contents
+  const objects = new Map();
+  const mapped = new Map();
+  const rows = loadMapping(objects);
+  const mimeTypes = new Map(Object.values(allUrls).flat().map(({ url, mimeType }) => [url, mimeType]));
+  // Failures of URLs no order references any more can't be retried
+  for (const url of Object.keys(progress.failed)) {
+    if (!mimeTypes.has(url)) delete progress.failed[url];
   }
-  const mappingStream = fs.createWriteStream(MAPPING_FILE, { flags: 'a' });
+  renameBinFiles(rows, objects, mimeTypes);
+  for (const row of rows) {
+    mapped.set(row.old_url, row);
+  }
+  const recordMapping = (row) => {
+    fs.appendFileSync(MAPPING_FILE, formatRow(MAPPING_COLUMNS.map(column => row[column])));
+    mapped.set(row.old_url, row);
+  };
   
   let downloaded = 0;
   let skipped = 0;
   let failed = 0;
+  let refetched = 0;
+  let duplicates = 0;
   
-  // Download each bucket
+  // Queue everything not already done. The same URL can be referenced by
+  // several orders; only its first reference is looked at.
+  const jobs = [];
+  const seenUrls = new Set();
   for (const [bucket, urls] of Object.entries(allUrls)) {
-    log(`\n--- Downloading ${bucket} (${urls.length} files) ---`);
-    
     for (const fileInfo of urls) {
-      const { url, visualId, originalName, mimeType } = fileInfo;
+      const { url, visualId, originalName } = fileInfo;
       
-      // Skip if already downloaded
-      if (downloadedSet.has(url)) {
+      if (seenUrls.has(url)) {
+        duplicates++;
+        continue;
+      }
+      seenUrls.add(url);
+      
+      // Skip if stored (or saved just before a crash) and still intact
+      if (isStored(mapped.get(url), objects)) {
+        downloadedSet.add(url);
+        delete progress.failed[url];
         skipped++;
         continue;
       }
       
-      const handle = extractFileHandle(url);
+      // Marked downloaded, but its stored copy is missing, empty or short
+      if (downloadedSet.has(url)) {
+        downloadedSet.delete(url);
+        refetched++;
+      }
+      
+      // Order documents are Printavo pages, not CDN files: name them by order
+      const handle = bucket === DOCUMENTS_BUCKET ? originalName : extractFileHandle(url);
       if (!handle) {
         logError(`Cannot extract handle from: ${url}`);
         failed++;
         continue;
       }
       
-      const ext = extractExtension(url, mimeType);
-      const filename = `${handle}${ext}`;
-      const destPath = path.join(BUCKETS[bucket], filename);
-      
-      // Skip if file exists on disk
-      if (fs.existsSync(destPath)) {
-        downloadedSet.add(url);
-        skipped++;
-        continue;
+      // Saved by an earlier version without a mapping row. Nothing says it
+      // was complete, so it becomes a partial download the request continues
+      // (a complete file costs one empty Range request).
+      const partPath = partPathFor(url, handle);
+      const legacyPath = path.join(BUCKETS[bucket], `${handle}${legacyExtension(url, fileInfo.mimeType)}`);
+      if (fs.existsSync(legacyPath)) {
+        if (fs.statSync(legacyPath).size > 0 && !fs.existsSync(partPath)) {
+          fs.renameSync(legacyPath, partPath);
+        } else {
+          fs.unlinkSync(legacyPath);
+        }
       }
       
-      // Download with retries
-      let success = false;
+      jobs.push({ bucket, fileInfo, partPath });
+    }
+  }
+  
+  if (refetched > 0) {
+    progress.downloaded = progress.downloaded.filter(url => downloadedSet.has(url));
+    log(`${refetched} previously downloaded files are missing or incomplete and will be fetched again`);
+  }
+  
+  const duplicateNote = duplicates > 0 ? `, ${duplicates} duplicate URLs` : '';
+  log(`\nDownloading ${jobs.length} files (${skipped} already done${duplicateNote}) with ` +
+      `${CONFIG.DOWNLOAD_CONCURRENCY} workers, at most ${CONFIG.MAX_CONNECTIONS_PER_HOST} per host...`);
+  
+  const hostLimiter = createHostLimiter(CONFIG.MAX_CONNECTIONS_PER_HOST);
+  const startedAt = Date.now();
+  let lastSave = startedAt;
+  let lastReport = startedAt;
+  let completed = 0;
+  let unsaved = false;
+  
+  // Completed downloads are saved every PROGRESS_SAVE_INTERVAL, and on exit.
+  // A file only counts as downloaded once its mapping row is on disk, so
+  // progress.json never claims a file the mapping is missing.
+  const saveIfDue = (force = false) => {
+    const now = Date.now();
+    if (unsaved && (force || now - lastSave >= PROGRESS_SAVE_INTERVAL)) {
+      saveProgress(progress);
+      lastSave = now;
+      unsaved = false;
+    }
+  };
+  
+  const reportIfDue = () => {
+    const now = Date.now();
+    if (now - lastReport < PROGRESS_LOG_INTERVAL && completed < jobs.length) return;
+    lastReport = now;
+    
+    const elapsed = now - startedAt;
+    const rate = completed / Math.max(elapsed / 1000, 0.001);
+    const remaining = jobs.length - completed;
+    const eta = rate > 0 ? formatDuration(remaining / rate * 1000) : 'unknown';
+    log(`Progress: ${completed}/${jobs.length} (${(completed / jobs.length * 100).toFixed(1)}%) - ` +
+        `${downloaded} downloaded, ${failed} failed - ${rate.toFixed(1)} files/s - ETA ${eta}`);
+  };
+  
+  const onSignal = (signal) => {
+    log(`\n${signal} received - saving progress`);
+    saveIfDue(true);
+    process.exit(1);
+  };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+  
+  await runPool(jobs, CONFIG.DOWNLOAD_CONCURRENCY, async ({ bucket, fileInfo, partPath }) => {
+    const { url, visualId, originalName, mimeType } = fileInfo;
+    const host = hostOf(url);
+    
+    // Download with retries; each attempt continues from what the last one
+    // left in partPath, and nothing is stored until it checks out
+    let response = null;
+    let digest = null;
+    let lastError = null;
+    await hostLimiter.acquire(host);
+    try {
       for (let attempt = 1; attempt <= CONFIG.MAX_RETRIES; attempt++) {
         try {
-          await downloadFile(url, destPath);
-          success = true;
+          response = await downloadFile(url, partPath);
+          const verified = await verifyDownload(partPath, response);
+          if (bucket === DOCUMENTS_BUCKET) checkDocument(partPath);
+          digest = verified;
           break;
         } catch (err) {
+          lastError = err;
           if (attempt < CONFIG.MAX_RETRIES) {
+            // Other files from this host can use the slot while this one waits
+            hostLimiter.release(host);
             await delay(1000 * attempt);
+            await hostLimiter.acquire(host);
           } else {
             logError(`Failed ${url}: ${err.message}`);
           }
         }
       }
-      
-      if (success) {
-        downloaded++;
-        downloadedSet.add(url);
-        progress.downloaded.push(url);
-        
-        // Write to mapping CSV
-        const csvLine = `"${url}","${bucket}","${filename}","${visualId}","${originalName}"\n`;
-        mappingStream.write(csvLine);
-        
-        if (downloaded % 100 === 0) {
-          log(`Downloaded ${downloaded} files (${skipped} skipped, ${failed} failed)`);
-          saveProgress(progress);
-        }
-      } else {
-        failed++;
-        progress.failed.push({ url, bucket, visualId });
-      }
-      
-      await delay(CONFIG.DOWNLOAD_DELAY);
+    } finally {
+      hostLimiter.release(host);
     }
-  }
+    
+    if (digest) {
+      // Documents are named by what came back (a PDF, or an HTML page) -
+      // Printavo's Content-Type for them isn't reliable
+      const head = readHead(partPath);
+      const ext = (bucket === DOCUMENTS_BUCKET && sniffExtension(head))
+        || detectExtension({ ...response, name: originalName, url, mimeType, head });
+      const storedPath = addToStore(partPath, digest.sha256, ext, objects);
+      recordMapping(mappingRow(url, bucket, storedPath, visualId, originalName, digest));
+      downloaded++;
+      downloadedSet.add(url);
+      progress.downloaded.push(url);
+      delete progress.failed[url];
+    } else {
+      failed++;
+      progress.failed[url] = { bucket, visualId, error: lastError.message };
+    }
+    completed++;
+    unsaved = true;
+    
+    saveIfDue();
+    reportIfDue();
+    await delay(CONFIG.DOWNLOAD_DELAY);
+  });
   
-  mappingStream.end();
+  process.removeListener('SIGINT', onSignal);
+  process.removeListener('SIGTERM', onSignal);
   saveProgress(progress);
+  // Re-fetched URLs were appended again; keep one row per URL
+  if (refetched > 0) writeMapping([...mapped.values()]);
+  // Partial downloads of failed files stay for the next run
+  if (fs.readdirSync(TMP_DIR).length === 0) fs.rmdirSync(TMP_DIR);
+  
+  const manifest = writeManifest(allUrls, mapped);
   
   log('\n╔════════════════════════════════════════════════════════════╗');
   log('║                  DOWNLOAD COMPLETE                          ║');
   log('╠════════════════════════════════════════════════════════════╣');
   log(`║  Downloaded: ${downloaded}`.padEnd(61) + '║');
   log(`║  Skipped: ${skipped}`.padEnd(61) + '║');
+  if (duplicates > 0) log(`║  Duplicate references: ${duplicates}`.padEnd(61) + '║');
   log(`║  Failed: ${failed}`.padEnd(61) + '║');
+  if (refetched > 0) log(`║  Re-fetched (missing or incomplete): ${refetched}`.padEnd(61) + '║');
+  log(`║  Stored: ${manifest.summary.objects} unique files for ${manifest.summary.references} references`.padEnd(61) + '║');
+  log(`║  Duration: ${formatDuration(Date.now() - startedAt)}`.padEnd(61) + '║');
   log('╚════════════════════════════════════════════════════════════╝');
   log(`\nMapping file: ${MAPPING_FILE}`);
-  log(`Files saved to: ${FILES_DIR}`);
+  log(`Manifest: ${MANIFEST_FILE}`);
+  log(`Files saved to: ${STORE_DIR}`);
+  log('\nTo re-check the files later: node scripts/verify-files.js');
 }
 
 // =============================================================================
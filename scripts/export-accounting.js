@@ -0,0 +1,426 @@
+#!/usr/bin/env node
+/**
+ * Printavo Accounting Export
+ *
+ * Turns extracted invoices and their payments into files an accountant can
+ * import. Run this AFTER extract-all-data.js.
+ *
+ * Files (in data/accounting/ unless another directory is given):
+ * - invoices.iif        QuickBooks IIF customers and invoices (line items, fees,
+ *                       discount, sales tax)
+ * - payments.iif        QuickBooks IIF payments and refunds - import after invoices.iif
+ * - journal.csv         the same entries as generic double-entry journal lines
+ * - reconciliation.json what was exported, what was skipped and why
+ *
+ * Account and item names come from ACCOUNTING in config.js. Each invoice is
+ * exported at its Printavo total; if its lines don't add up to it (rounding,
+ * fields the query didn't select), the difference goes to ADJUSTMENT_ITEM and
+ * the invoice is listed in the reconciliation. Quotes are not exported.
+ *
+ * Usage:
+ *   node scripts/export-accounting.js [output-dir]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { resolveDataDir, loadBackup } = require('./lib/data-loader');
+const { formatCSV } = require('./lib/csv');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+let CONFIG;
+try {
+  CONFIG = require('../config.js');
+} catch (e) {
+  CONFIG = {};
+}
+
+const ACCOUNTING = {
+  RECEIVABLE_ACCOUNT: 'Accounts Receivable',
+  INCOME_ACCOUNT: 'Sales',
+  FEE_ACCOUNT: 'Sales',
+  DISCOUNT_ACCOUNT: 'Discounts Given',
+  SALES_TAX_ACCOUNT: 'Sales Tax Payable',
+  DEPOSIT_ACCOUNT: 'Undeposited Funds',
+  DEFAULT_ITEM: 'Printing',
+  FEE_ITEM: 'Fee',
+  DISCOUNT_ITEM: 'Discount',
+  SALES_TAX_ITEM: 'Sales Tax',
+  ADJUSTMENT_ITEM: 'Adjustment',
+  ITEMS: {},
+  ...CONFIG.ACCOUNTING
+};
+
+const DATA_DIR = resolveDataDir();
+const OUTPUT_DIR = path.resolve(process.argv[2] || path.join(DATA_DIR, 'accounting'));
+
+const IIF_CUSTOMER_HEADER = [
+  ['!CUST', 'NAME', 'BADDR1', 'BADDR2', 'BADDR3', 'BADDR4', 'EMAIL', 'PHONE1']
+];
+
+const IIF_INVOICE_HEADER = [
+  ['!TRNS', 'TRNSID', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO', 'TERMS', 'DUEDATE'],
+  ['!SPL', 'SPLID', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO', 'INVITEM', 'QNTY', 'PRICE'],
+  ['!ENDTRNS']
+];
+
+const IIF_PAYMENT_HEADER = [
+  ['!TRNS', 'TRNSID', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO'],
+  ['!SPL', 'SPLID', 'TRNSTYPE', 'DATE', 'ACCNT', 'NAME', 'AMOUNT', 'DOCNUM', 'MEMO'],
+  ['!ENDTRNS']
+];
+
+const JOURNAL_COLUMNS = ['entry_id', 'date', 'type', 'document', 'customer', 'account', 'item', 'debit', 'credit', 'memo'];
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+function log(message) {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`);
+}
+
+function logError(message) {
+  const timestamp = new Date().toISOString();
+  console.error(`[${timestamp}] ERROR: ${message}`);
+}
+
+// Amounts are handled in integer cents so entries balance exactly
+function toCents(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.round(number * 100) : 0;
+}
+
+function money(cents) {
+  return (cents / 100).toFixed(2);
+}
+
+// IIF dates are MM/DD/YYYY; the journal uses ISO dates
+function isoDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date.toISOString().slice(0, 10) : null;
+}
+
+function iifDate(iso) {
+  const [year, month, day] = iso.split('-');
+  return `${month}/${day}/${year}`;
+}
+
+// IIF is tab-separated with no quoting: tabs and newlines can't appear in a field
+function iifField(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/[\t\r\n]+/g, ' ').trim();
+}
+
+function iifLines(rows) {
+  return rows.map(row => row.map(iifField).join('\t')).join('\r\n') + '\r\n';
+}
+
+function customerName(order) {
+  return order.contact?.customer?.companyName || order.contact?.fullName || 'Unknown Customer';
+}
+
+// =============================================================================
+// INVOICES
+// =============================================================================
+
+/**
+ * The credit side of an invoice: one split per line item, fee, discount and
+ * sales tax, in cents (credits positive, the discount negative).
+ */
+function invoiceSplits(order) {
+  const splits = [];
+
+  for (const group of order.lineItemGroups || []) {
+    for (const item of group.lineItems || []) {
+      const quantity = Number(item.items) || 0;
+      const amount = toCents(Number(item.price) * quantity);
+      if (amount === 0) continue;
+
+      const mapping = ACCOUNTING.ITEMS[item.category?.name] || {};
+      splits.push({
+        account: mapping.account || ACCOUNTING.INCOME_ACCOUNT,
+        item: mapping.item || ACCOUNTING.DEFAULT_ITEM,
+        amount,
+        quantity,
+        price: item.price,
+        memo: [item.itemNumber, item.description, item.color].filter(Boolean).join(' - ')
+      });
+    }
+  }
+
+  for (const fee of order.fees || []) {
+    const amount = fee.amount !== null && fee.amount !== undefined
+      ? toCents(fee.amount)
+      : toCents(Number(fee.unitPrice) * Number(fee.quantity || 1));
+    if (amount === 0) continue;
+    splits.push({
+      account: ACCOUNTING.FEE_ACCOUNT,
+      item: ACCOUNTING.FEE_ITEM,
+      amount,
+      quantity: fee.quantity,
+      price: fee.unitPrice,
+      memo: fee.description
+    });
+  }
+
+  const discount = toCents(order.discountAmount);
+  if (discount !== 0) {
+    splits.push({ account: ACCOUNTING.DISCOUNT_ACCOUNT, item: ACCOUNTING.DISCOUNT_ITEM, amount: -Math.abs(discount), memo: 'Discount' });
+  }
+
+  const tax = toCents(order.salesTaxAmount);
+  if (tax !== 0) {
+    splits.push({ account: ACCOUNTING.SALES_TAX_ACCOUNT, item: ACCOUNTING.SALES_TAX_ITEM, amount: tax, memo: 'Sales tax' });
+  }
+
+  return splits;
+}
+
+/**
+ * Build one invoice's entry, or return { skip: reason }
+ */
+function invoiceEntry(order) {
+  const total = toCents(order.total);
+  const date = isoDate(order.invoiceAt || order.createdAt || order.timestamps?.createdAt);
+
+  if (!date) return { skip: 'no invoice date' };
+  if (total === 0) return { skip: 'zero total' };
+
+  const splits = invoiceSplits(order);
+  const adjustment = total - splits.reduce((sum, split) => sum + split.amount, 0);
+  if (adjustment !== 0) {
+    splits.push({ account: ACCOUNTING.INCOME_ACCOUNT, item: ACCOUNTING.ADJUSTMENT_ITEM, amount: adjustment, memo: 'Difference to Printavo total' });
+  }
+
+  return {
+    date,
+    document: String(order.visualId),
+    customer: customerName(order),
+    total,
+    adjustment,
+    terms: order.paymentTerm?.name,
+    dueDate: isoDate(order.paymentDueAt || order.dueAt),
+    memo: order.nickname,
+    splits
+  };
+}
+
+/**
+ * Customer list record, so importing invoices.iif creates missing customers
+ */
+function customerIIF(order) {
+  const address = order.billingAddress || {};
+  const cityLine = [address.city, [address.stateIso || address.state, address.zipCode].filter(Boolean).join(' ')]
+    .filter(Boolean).join(', ');
+  return ['CUST', customerName(order), address.companyName || address.customerName, address.address1, address.address2,
+    cityLine, order.contact?.email, order.contact?.phone];
+}
+
+function invoiceIIF(entry) {
+  const rows = [[
+    'TRNS', '', 'INVOICE', iifDate(entry.date), ACCOUNTING.RECEIVABLE_ACCOUNT, entry.customer,
+    money(entry.total), entry.document, entry.memo, entry.terms, entry.dueDate ? iifDate(entry.dueDate) : ''
+  ]];
+  for (const split of entry.splits) {
+    // QuickBooks wants the credit side negative, quantities included
+    rows.push([
+      'SPL', '', 'INVOICE', iifDate(entry.date), split.account, entry.customer,
+      money(-split.amount), entry.document, split.memo, split.item,
+      split.quantity !== undefined && split.quantity !== null ? -split.quantity : '', split.price ?? ''
+    ]);
+  }
+  rows.push(['ENDTRNS']);
+  return rows;
+}
+
+function invoiceJournal(entry, entryId) {
+  const base = { entry_id: entryId, date: entry.date, type: 'invoice', document: entry.document, customer: entry.customer };
+  const lines = [{ ...base, account: ACCOUNTING.RECEIVABLE_ACCOUNT, debit: money(entry.total), memo: entry.memo }];
+  for (const split of entry.splits) {
+    lines.push({
+      ...base,
+      account: split.account,
+      item: split.item,
+      debit: split.amount < 0 ? money(-split.amount) : '',
+      credit: split.amount > 0 ? money(split.amount) : '',
+      memo: split.memo
+    });
+  }
+  return lines;
+}
+
+// =============================================================================
+// PAYMENTS
+// =============================================================================
+
+/**
+ * A payment or refund against an exported invoice, or { skip: reason }
+ */
+function transactionEntry(transaction, order) {
+  const kind = transaction.__typename === 'Refund' ? 'refund' : 'payment';
+  const amount = Math.abs(toCents(transaction.amount));
+  const date = isoDate(transaction.transactionDate);
+
+  if (!date) return { skip: 'no transaction date' };
+  if (amount === 0) return { skip: 'zero amount' };
+
+  return {
+    id: transaction.id,
+    kind,
+    date,
+    amount,
+    document: String(order.visualId),
+    customer: customerName(order),
+    memo: [transaction.category, transaction.description].filter(Boolean).join(' - ')
+  };
+}
+
+function transactionIIF(entry) {
+  // Payments move money from receivables to the deposit account; refunds back
+  const type = entry.kind === 'refund' ? 'CHECK' : 'PAYMENT';
+  const sign = entry.kind === 'refund' ? -1 : 1;
+  return [
+    ['TRNS', '', type, iifDate(entry.date), ACCOUNTING.DEPOSIT_ACCOUNT, entry.customer, money(sign * entry.amount), entry.document, entry.memo],
+    ['SPL', '', type, iifDate(entry.date), ACCOUNTING.RECEIVABLE_ACCOUNT, entry.customer, money(-sign * entry.amount), entry.document, entry.memo],
+    ['ENDTRNS']
+  ];
+}
+
+function transactionJournal(entry, entryId) {
+  const base = { entry_id: entryId, date: entry.date, type: entry.kind, document: entry.document, customer: entry.customer, memo: entry.memo };
+  const [debit, credit] = entry.kind === 'refund'
+    ? [ACCOUNTING.RECEIVABLE_ACCOUNT, ACCOUNTING.DEPOSIT_ACCOUNT]
+    : [ACCOUNTING.DEPOSIT_ACCOUNT, ACCOUNTING.RECEIVABLE_ACCOUNT];
+  return [
+    { ...base, account: debit, debit: money(entry.amount) },
+    { ...base, account: credit, credit: money(entry.amount) }
+  ];
+}
+
+// =============================================================================
+// MAIN EXPORT LOGIC
+// =============================================================================
+
+function exportAccounting() {
+  log('╔════════════════════════════════════════════════════════════╗');
+  log('║            PRINTAVO ACCOUNTING EXPORT                      ║');
+  log('╚════════════════════════════════════════════════════════════╝');
+
+  log(`\nLoading backup from ${DATA_DIR}...`);
+  const data = loadBackup({
+    dataDir: DATA_DIR,
+    onError: (name, err) => logError(`Failed to load ${name}: ${err.message}`)
+  });
+
+  if (data.invoices.length === 0) {
+    logError(`No invoices found in ${DATA_DIR} - run extract-all-data.js first`);
+    process.exit(1);
+  }
+  log(`Found ${data.invoices.length} invoices`);
+
+  const customerRows = new Map();
+  const invoiceRows = [...IIF_INVOICE_HEADER];
+  const paymentRows = [...IIF_PAYMENT_HEADER];
+  const journal = [];
+  const seenTransactions = new Set();
+  let entryId = 0;
+
+  const reconciliation = {
+    generatedAt: new Date().toISOString(),
+    invoices: { exported: 0, total: 0, adjusted: [], skipped: [] },
+    payments: { exported: 0, total: 0 },
+    refunds: { exported: 0, total: 0 },
+    transactionsSkipped: [],
+    receivable: { exported: 0, printavoOutstanding: 0 }
+  };
+
+  for (const order of data.invoices) {
+    const entry = invoiceEntry(order);
+    if (entry.skip) {
+      reconciliation.invoices.skipped.push({ visualId: order.visualId, reason: entry.skip });
+      // Its payments have nothing to apply to, but the money is still listed
+      for (const transaction of order.transactions || []) {
+        if (seenTransactions.has(transaction.id)) continue;
+        seenTransactions.add(transaction.id);
+        reconciliation.transactionsSkipped.push({ id: transaction.id, visualId: order.visualId, reason: `invoice skipped: ${entry.skip}` });
+      }
+      continue;
+    }
+
+    if (!customerRows.has(entry.customer)) {
+      customerRows.set(entry.customer, customerIIF(order));
+    }
+    invoiceRows.push(...invoiceIIF(entry));
+    journal.push(...invoiceJournal(entry, ++entryId));
+    reconciliation.invoices.exported++;
+    reconciliation.invoices.total += entry.total;
+    reconciliation.receivable.exported += entry.total;
+    reconciliation.receivable.printavoOutstanding += toCents(order.amountOutstanding);
+    if (entry.adjustment !== 0) {
+      reconciliation.invoices.adjusted.push({ visualId: order.visualId, adjustment: money(entry.adjustment) });
+    }
+
+    for (const transaction of order.transactions || []) {
+      if (seenTransactions.has(transaction.id)) continue;
+      seenTransactions.add(transaction.id);
+
+      const payment = transactionEntry(transaction, order);
+      if (payment.skip) {
+        reconciliation.transactionsSkipped.push({ id: transaction.id, visualId: order.visualId, reason: payment.skip });
+        continue;
+      }
+
+      paymentRows.push(...transactionIIF(payment));
+      journal.push(...transactionJournal(payment, ++entryId));
+      const totals = payment.kind === 'refund' ? reconciliation.refunds : reconciliation.payments;
+      totals.exported++;
+      totals.total += payment.amount;
+      reconciliation.receivable.exported += payment.kind === 'refund' ? payment.amount : -payment.amount;
+    }
+  }
+
+  // Report money as dollars
+  for (const totals of [reconciliation.invoices, reconciliation.payments, reconciliation.refunds]) {
+    totals.total = money(totals.total);
+  }
+  reconciliation.receivable.difference = money(reconciliation.receivable.exported - reconciliation.receivable.printavoOutstanding);
+  reconciliation.receivable.exported = money(reconciliation.receivable.exported);
+  reconciliation.receivable.printavoOutstanding = money(reconciliation.receivable.printavoOutstanding);
+
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+  fs.writeFileSync(path.join(OUTPUT_DIR, 'invoices.iif'),
+    iifLines([...IIF_CUSTOMER_HEADER, ...customerRows.values(), ...invoiceRows]));
+  fs.writeFileSync(path.join(OUTPUT_DIR, 'payments.iif'), iifLines(paymentRows));
+  fs.writeFileSync(path.join(OUTPUT_DIR, 'journal.csv'), formatCSV(JOURNAL_COLUMNS, journal));
+  fs.writeFileSync(path.join(OUTPUT_DIR, 'reconciliation.json'), JSON.stringify(reconciliation, null, 2));
+
+  const { invoices, payments, refunds, receivable } = reconciliation;
+  log('\n╔════════════════════════════════════════════════════════════╗');
+  log('║                  EXPORT COMPLETE                            ║');
+  log('╠════════════════════════════════════════════════════════════╣');
+  log(`║  Invoices: ${invoices.exported} ($${invoices.total})`.padEnd(61) + '║');
+  log(`║    Adjusted to match Printavo total: ${invoices.adjusted.length}`.padEnd(61) + '║');
+  log(`║    Skipped: ${invoices.skipped.length}`.padEnd(61) + '║');
+  log(`║  Payments: ${payments.exported} ($${payments.total})`.padEnd(61) + '║');
+  log(`║  Refunds: ${refunds.exported} ($${refunds.total})`.padEnd(61) + '║');
+  log(`║  Transactions skipped: ${reconciliation.transactionsSkipped.length}`.padEnd(61) + '║');
+  log(`║  Receivable: $${receivable.exported} (Printavo: $${receivable.printavoOutstanding})`.padEnd(61) + '║');
+  log('╚════════════════════════════════════════════════════════════╝');
+  log(`\nFiles saved to: ${OUTPUT_DIR}`);
+  log('Import invoices.iif before payments.iif; see reconciliation.json for skipped records.');
+}
+
+// =============================================================================
+// ENTRY POINT
+// =============================================================================
+
+try {
+  exportAccounting();
+} catch (err) {
+  logError(`Fatal error: ${err.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,338 @@
+#!/usr/bin/env node
+/**
+ * Printavo CSV Export
+ *
+ * Writes one spreadsheet-ready CSV per record type from the extracted
+ * backup, including what Printavo's own CSV exports leave out: imprints,
+ * mockups and file URLs. Run this AFTER extract-all-data.js (and
+ * download-files.js, to include local file paths).
+ *
+ * Files (in data/csv/ unless another directory is given):
+ * - orders.csv        one row per invoice or quote, addresses flattened
+ * - line_items.csv    one row per line item, one column per size
+ * - imprints.csv, fees.csv, expenses.csv, tasks.csv
+ * - transactions.csv  payments and refunds
+ * - files.csv         production files and mockups, with local paths
+ *
+ * Every row carries order_type and order_visual_id, and line items and
+ * imprints keep their Printavo IDs, so the files join back together.
+ * Quoting follows RFC 4180.
+ *
+ * Usage:
+ *   node scripts/export-csv.js [output-dir]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { resolveDataDir, loadBackup, loadUrlMapping, sortSizes } = require('./lib/data-loader');
+const { formatCSV } = require('./lib/csv');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const DATA_DIR = resolveDataDir();
+const OUTPUT_DIR = path.resolve(process.argv[2] || path.join(DATA_DIR, 'csv'));
+
+const ADDRESS_FIELDS = ['companyName', 'customerName', 'address1', 'address2', 'city', 'state', 'zipCode', 'country'];
+
+const COLUMNS = {
+  orders: [
+    'order_type', 'order_visual_id', 'order_id', 'nickname', 'status',
+    'customer_id', 'customer_company', 'contact_id', 'contact_name', 'contact_email', 'contact_phone',
+    'owner_email', 'po_number', 'tags',
+    'created_at', 'updated_at', 'invoice_at', 'due_at', 'customer_due_at', 'payment_due_at',
+    'subtotal', 'discount_amount', 'sales_tax_amount', 'total', 'amount_paid', 'amount_outstanding',
+    'paid_in_full', 'total_quantity', 'delivery_method', 'payment_term',
+    ...ADDRESS_FIELDS.map(field => `billing_${snakeCase(field)}`),
+    ...ADDRESS_FIELDS.map(field => `shipping_${snakeCase(field)}`),
+    'production_note', 'customer_note', 'public_url'
+  ],
+  // Size columns are added from the data (see sizeColumns)
+  line_items: [
+    'order_type', 'order_visual_id', 'line_item_group_id', 'group_position', 'line_item_id', 'position',
+    'description', 'item_number', 'color', 'category', 'product_id', 'product_brand',
+    'price', 'quantity', 'taxed', 'markup_percentage', 'product_status'
+  ],
+  imprints: [
+    'order_type', 'order_visual_id', 'line_item_group_id', 'imprint_id', 'type_of_work', 'details'
+  ],
+  fees: [
+    'order_type', 'order_visual_id', 'fee_id', 'description', 'quantity', 'unit_price', 'amount', 'taxable'
+  ],
+  expenses: [
+    'order_type', 'order_visual_id', 'expense_id', 'name', 'amount', 'transaction_at', 'user_generated'
+  ],
+  transactions: [
+    'order_type', 'order_visual_id', 'transaction_id', 'kind', 'transaction_date', 'amount',
+    'category', 'source', 'processing', 'description'
+  ],
+  tasks: [
+    'order_type', 'order_visual_id', 'task_id', 'name', 'due_at', 'completed', 'completed_at'
+  ],
+  files: [
+    'order_type', 'order_visual_id', 'kind', 'file_id', 'line_item_id', 'imprint_id',
+    'name', 'mime_type', 'url', 'local_path'
+  ]
+};
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+function log(message) {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`);
+}
+
+function logError(message) {
+  const timestamp = new Date().toISOString();
+  console.error(`[${timestamp}] ERROR: ${message}`);
+}
+
+function snakeCase(name) {
+  return name.replace(/[A-Z]/g, char => `_${char.toLowerCase()}`);
+}
+
+function sizeColumns(lineItems) {
+  return sortSizes(lineItems.flatMap(item => Object.keys(item.sizes)));
+}
+
+function addressColumns(prefix, address) {
+  const columns = {};
+  for (const field of ADDRESS_FIELDS) {
+    columns[`${prefix}_${snakeCase(field)}`] = address?.[field];
+  }
+  return columns;
+}
+
+// =============================================================================
+// ROWS
+// =============================================================================
+
+/**
+ * Append one order's rows to every table
+ */
+function addOrderRows(tables, order, type, urlMapping) {
+  const key = { order_type: type, order_visual_id: order.visualId };
+  const localPath = url => urlMapping.get(url)?.localPath;
+
+  tables.orders.push({
+    ...key,
+    order_id: order.id,
+    nickname: order.nickname,
+    status: order.status?.name,
+    customer_id: order.contact?.customer?.id,
+    customer_company: order.contact?.customer?.companyName,
+    contact_id: order.contact?.id,
+    contact_name: order.contact?.fullName,
+    contact_email: order.contact?.email,
+    contact_phone: order.contact?.phone,
+    owner_email: order.owner?.email,
+    po_number: order.visualPoNumber,
+    tags: Array.isArray(order.tags) ? order.tags.join('; ') : order.tags,
+    created_at: order.timestamps?.createdAt || order.createdAt,
+    updated_at: order.timestamps?.updatedAt,
+    invoice_at: order.invoiceAt,
+    due_at: order.dueAt,
+    customer_due_at: order.customerDueAt,
+    payment_due_at: order.paymentDueAt,
+    subtotal: order.subtotal,
+    discount_amount: order.discountAmount,
+    sales_tax_amount: order.salesTaxAmount,
+    total: order.total,
+    amount_paid: order.amountPaid,
+    amount_outstanding: order.amountOutstanding,
+    paid_in_full: order.paidInFull,
+    total_quantity: order.totalQuantity,
+    delivery_method: order.deliveryMethod?.name,
+    payment_term: order.paymentTerm?.name,
+    ...addressColumns('billing', order.billingAddress),
+    ...addressColumns('shipping', order.shippingAddress),
+    production_note: order.productionNote,
+    customer_note: order.customerNote,
+    public_url: order.publicUrl
+  });
+
+  for (const group of order.lineItemGroups || []) {
+    for (const item of group.lineItems || []) {
+      const sizes = {};
+      for (const { size, count } of item.sizes || []) {
+        sizes[size] = count;
+      }
+
+      tables.line_items.push({
+        ...key,
+        line_item_group_id: group.id,
+        group_position: group.position,
+        line_item_id: item.id,
+        position: item.position,
+        description: item.description,
+        item_number: item.itemNumber,
+        color: item.color,
+        category: item.category?.name,
+        product_id: item.product?.id,
+        product_brand: item.product?.brand,
+        price: item.price,
+        quantity: item.items,
+        taxed: item.taxed,
+        markup_percentage: item.markupPercentage,
+        product_status: item.productStatus,
+        sizes
+      });
+
+      for (const mockup of item.mockups || []) {
+        tables.files.push({
+          ...key,
+          kind: 'line-item-mockup',
+          file_id: mockup.id,
+          line_item_id: item.id,
+          name: `mockup-${mockup.id}`,
+          mime_type: mockup.mimeType,
+          url: mockup.fullImageUrl,
+          local_path: localPath(mockup.fullImageUrl)
+        });
+      }
+    }
+
+    for (const imprint of group.imprints || []) {
+      tables.imprints.push({
+        ...key,
+        line_item_group_id: group.id,
+        imprint_id: imprint.id,
+        type_of_work: imprint.typeOfWork?.name,
+        details: imprint.details
+      });
+
+      for (const mockup of imprint.mockups || []) {
+        tables.files.push({
+          ...key,
+          kind: 'imprint-mockup',
+          file_id: mockup.id,
+          imprint_id: imprint.id,
+          name: `mockup-${mockup.id}`,
+          mime_type: mockup.mimeType,
+          url: mockup.fullImageUrl,
+          local_path: localPath(mockup.fullImageUrl)
+        });
+      }
+    }
+  }
+
+  for (const file of order.productionFiles || []) {
+    tables.files.push({
+      ...key,
+      kind: 'production-file',
+      file_id: file.id,
+      name: file.name,
+      mime_type: file.mimeType,
+      url: file.fileUrl,
+      local_path: localPath(file.fileUrl)
+    });
+  }
+
+  for (const fee of order.fees || []) {
+    tables.fees.push({
+      ...key,
+      fee_id: fee.id,
+      description: fee.description,
+      quantity: fee.quantity,
+      unit_price: fee.unitPrice,
+      amount: fee.amount,
+      taxable: fee.taxable
+    });
+  }
+
+  for (const expense of order.expenses || []) {
+    tables.expenses.push({
+      ...key,
+      expense_id: expense.id,
+      name: expense.name,
+      amount: expense.amount,
+      transaction_at: expense.transactionAt,
+      user_generated: expense.userGenerated
+    });
+  }
+
+  for (const transaction of order.transactions || []) {
+    tables.transactions.push({
+      ...key,
+      transaction_id: transaction.id,
+      kind: transaction.__typename,
+      transaction_date: transaction.transactionDate,
+      amount: transaction.amount,
+      category: transaction.category,
+      source: transaction.source,
+      processing: transaction.processing,
+      description: transaction.description
+    });
+  }
+
+  for (const task of order.tasks || []) {
+    tables.tasks.push({
+      ...key,
+      task_id: task.id,
+      name: task.name,
+      due_at: task.dueAt,
+      completed: task.completed,
+      completed_at: task.completedAt
+    });
+  }
+}
+
+// =============================================================================
+// MAIN EXPORT LOGIC
+// =============================================================================
+
+function exportCSV() {
+  log('╔════════════════════════════════════════════════════════════╗');
+  log('║            PRINTAVO CSV EXPORT                             ║');
+  log('╚════════════════════════════════════════════════════════════╝');
+
+  log(`\nLoading backup from ${DATA_DIR}...`);
+  const data = loadBackup({
+    dataDir: DATA_DIR,
+    onError: (name, err) => logError(`Failed to load ${name}: ${err.message}`)
+  });
+  const urlMapping = loadUrlMapping(DATA_DIR);
+
+  if (data.orders.length === 0) {
+    logError(`No orders found in ${DATA_DIR} - run extract-all-data.js first`);
+    process.exit(1);
+  }
+  log(`Found ${data.invoices.length} invoices, ${data.quotes.length} quotes, ${urlMapping.size} downloaded files`);
+
+  const tables = Object.fromEntries(Object.keys(COLUMNS).map(name => [name, []]));
+  for (const order of data.invoices) addOrderRows(tables, order, 'invoice', urlMapping);
+  for (const order of data.quotes) addOrderRows(tables, order, 'quote', urlMapping);
+
+  // One column per size used anywhere, so every line item lines up
+  const sizes = sizeColumns(tables.line_items);
+  const columns = { ...COLUMNS, line_items: [...COLUMNS.line_items, ...sizes] };
+  tables.line_items = tables.line_items.map(({ sizes: counts, ...item }) => ({ ...item, ...counts }));
+
+  fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+  for (const [name, rows] of Object.entries(tables)) {
+    fs.writeFileSync(path.join(OUTPUT_DIR, `${name}.csv`), formatCSV(columns[name], rows));
+  }
+
+  log('\n╔════════════════════════════════════════════════════════════╗');
+  log('║                  EXPORT COMPLETE                            ║');
+  log('╠════════════════════════════════════════════════════════════╣');
+  for (const [name, rows] of Object.entries(tables)) {
+    log(`║  ${name}.csv: ${rows.length} rows`.padEnd(61) + '║');
+  }
+  log('╚════════════════════════════════════════════════════════════╝');
+  log(`\nCSV files saved to: ${OUTPUT_DIR}`);
+}
+
+// =============================================================================
+// ENTRY POINT
+// =============================================================================
+
+try {
+  exportCSV();
+} catch (err) {
+  logError(`Fatal error: ${err.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,492 @@
+#!/usr/bin/env node
+/**
+ * Printavo HTML Archive
+ *
+ * Turns the extracted backup into a static website that works offline, so
+ * old orders can be looked up in a browser once the account is closed. Run
+ * this AFTER extract-all-data.js and download-files.js.
+ *
+ * Files (in data/html/ unless another directory is given):
+ * - index.html        every invoice and quote, with search and filters
+ *                     (customer, date, status, tag, type)
+ * - orders/<type>-<visualId>.html  one page per order: header, addresses,
+ *                     line items with size grids, imprints, fees, payments,
+ *                     tasks, mockups and production files
+ * - archive.js, orders-index.js, style.css
+ *
+ * Mockups and production files point at the local copies listed in
+ * url-mapping.csv, so keep the site next to the backup's files/ directory
+ * (paths are relative). Files that weren't downloaded link to Printavo.
+ *
+ * Usage:
+ *   node scripts/export-html.js [output-dir]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { resolveDataDir, loadBackup, loadUrlMapping, sortSizes } = require('./lib/data-loader');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const DATA_DIR = resolveDataDir();
+const OUTPUT_DIR = path.resolve(process.argv[2] || path.join(DATA_DIR, 'html'));
+const ORDERS_DIR = path.join(OUTPUT_DIR, 'orders');
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.svg'];
+
+const STYLE = `
+body { font: 14px/1.4 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #222; margin: 0; }
+header, main { max-width: 1100px; margin: 0 auto; padding: 12px 20px; }
+header { border-bottom: 1px solid #ddd; }
+h1 { font-size: 22px; margin: 8px 0; }
+h2 { font-size: 17px; margin: 24px 0 8px; border-bottom: 1px solid #eee; padding-bottom: 4px; }
+h3 { font-size: 15px; margin: 16px 0 6px; }
+a { color: #0b62a4; }
+table { border-collapse: collapse; width: 100%; margin: 6px 0; }
+th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eee; vertical-align: top; }
+th { background: #f6f6f6; font-weight: 600; }
+td.num, th.num { text-align: right; white-space: nowrap; }
+.meta { display: grid; grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); gap: 4px 16px; }
+.meta div span { color: #666; }
+.status { display: inline-block; padding: 1px 8px; border-radius: 10px; background: #eee; border-left: 6px solid #999; }
+.tag { display: inline-block; padding: 0 6px; margin-right: 4px; border-radius: 3px; background: #e8f0f8; }
+.note { white-space: pre-wrap; background: #fafafa; border: 1px solid #eee; padding: 8px; }
+.files { display: flex; flex-wrap: wrap; gap: 12px; }
+.files figure { margin: 0; width: 160px; font-size: 12px; word-break: break-all; }
+.files img { max-width: 160px; max-height: 160px; border: 1px solid #ddd; }
+.missing { color: #a33; }
+.filters { display: flex; flex-wrap: wrap; gap: 8px; margin: 12px 0; }
+.filters input, .filters select { padding: 4px 6px; font: inherit; }
+#search { flex: 1 1 260px; }
+#count { color: #666; margin: 4px 0; }
+`;
+
+// Runs in the browser: filters window.ORDERS (orders-index.js) into the table
+const ARCHIVE_SCRIPT = `
+(function () {
+  var MAX_ROWS = 500;
+  var orders = window.ORDERS || [];
+  var byId = function (id) { return document.getElementById(id); };
+
+  function escapeHtml(value) {
+    return String(value == null ? '' : value).replace(/[&<>"']/g, function (c) {
+      return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c];
+    });
+  }
+
+  function fillSelect(id, values) {
+    var select = byId(id);
+    values.forEach(function (value) {
+      var option = document.createElement('option');
+      option.value = option.textContent = value;
+      select.appendChild(option);
+    });
+  }
+
+  function unique(values) {
+    return Array.from(new Set(values.filter(Boolean))).sort(function (a, b) { return a.localeCompare(b); });
+  }
+
+  fillSelect('status', unique(orders.map(function (o) { return o.status; })));
+  fillSelect('tag', unique([].concat.apply([], orders.map(function (o) { return o.tags; }))));
+  fillSelect('customers', unique(orders.map(function (o) { return o.customer; })));
+
+  function render() {
+    var text = byId('search').value.trim().toLowerCase();
+    var customer = byId('customer').value.trim().toLowerCase();
+    var type = byId('type').value;
+    var status = byId('status').value;
+    var tag = byId('tag').value;
+    var from = byId('from').value;
+    var to = byId('to').value;
+
+    var matches = orders.filter(function (o) {
+      if (type && o.type !== type) return false;
+      if (status && o.status !== status) return false;
+      if (tag && o.tags.indexOf(tag) === -1) return false;
+      if (customer && (o.customer || '').toLowerCase().indexOf(customer) === -1) return false;
+      if (from && (!o.date || o.date < from)) return false;
+      if (to && (!o.date || o.date > to)) return false;
+      if (text && o.search.indexOf(text) === -1) return false;
+      return true;
+    });
+
+    byId('count').textContent = matches.length + ' of ' + orders.length + ' orders' +
+      (matches.length > MAX_ROWS ? ' (showing the first ' + MAX_ROWS + ')' : '');
+    byId('results').innerHTML = matches.slice(0, MAX_ROWS).map(function (o) {
+      return '<tr><td><a href="' + escapeHtml(o.href) + '">' + escapeHtml(o.visualId) + '</a></td>' +
+        '<td>' + escapeHtml(o.type) + '</td>' +
+        '<td>' + escapeHtml(o.date) + '</td>' +
+        '<td>' + escapeHtml(o.customer) + '</td>' +
+        '<td>' + escapeHtml(o.nickname) + '</td>' +
+        '<td>' + escapeHtml(o.status) + '</td>' +
+        '<td>' + o.tags.map(function (t) { return '<span class="tag">' + escapeHtml(t) + '</span>'; }).join('') + '</td>' +
+        '<td class="num">' + escapeHtml(o.total) + '</td></tr>';
+    }).join('');
+  }
+
+  ['search', 'customer', 'type', 'status', 'tag', 'from', 'to'].forEach(function (id) {
+    byId(id).addEventListener('input', render);
+  });
+  render();
+})();
+`;
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+function log(message) {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`);
+}
+
+function logError(message) {
+  const timestamp = new Date().toISOString();
+  console.error(`[${timestamp}] ERROR: ${message}`);
+}
+
+function escapeHtml(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+function formatMoney(value) {
+  if (value === null || value === undefined || value === '') return '';
+  const number = Number(value);
+  if (!Number.isFinite(number)) return escapeHtml(value);
+  return (number < 0 ? '-$' : '$') + Math.abs(number).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function formatDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date.toISOString().slice(0, 10) : '';
+}
+
+// size_2xl -> 2XL, size_other -> Other
+function sizeLabel(size) {
+  const name = String(size).replace(/^size_/, '');
+  return name === 'other' ? 'Other' : name.toUpperCase();
+}
+
+function customerName(order) {
+  return order.contact?.customer?.companyName || order.contact?.fullName || '';
+}
+
+function orderPageName(order, type) {
+  return `${type}-${String(order.visualId).replace(/[^\w.-]/g, '_')}.html`;
+}
+
+function page(title, body, root) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" href="${root}style.css">
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+// =============================================================================
+// ORDER PAGES
+// =============================================================================
+
+// Links written to a downloaded copy rather than Printavo, for the summary
+let localLinks = 0;
+
+/**
+ * Link (and preview, for images) to a file: the local copy when it was
+ * downloaded, otherwise the original URL.
+ */
+function fileFigure(url, name, mimeType, urlMapping) {
+  if (!url) return '';
+  const mapped = urlMapping.get(url);
+  const label = escapeHtml(name || mapped?.originalName || path.basename(url.split('?')[0]));
+
+  if (!mapped) {
+    return `<figure><a href="${escapeHtml(url)}">${label}</a><br><span class="missing">not downloaded</span></figure>`;
+  }
+
+  localLinks++;
+  const target = path.relative(ORDERS_DIR, path.join(DATA_DIR, mapped.localPath))
+    .split(path.sep).map(encodeURIComponent).join('/');
+  const isImage = (mimeType || '').startsWith('image/') || IMAGE_EXTENSIONS.includes(path.extname(mapped.localPath).toLowerCase());
+  const preview = isImage ? `<img src="${target}" alt="${label}" loading="lazy"><br>` : '';
+  return `<figure><a href="${target}">${preview}${label}</a></figure>`;
+}
+
+function mockupFigures(mockups, urlMapping) {
+  if (!mockups || mockups.length === 0) return '';
+  return `<div class="files">${mockups.map(mockup =>
+    fileFigure(mockup.fullImageUrl, `mockup-${mockup.id}`, mockup.mimeType, urlMapping)).join('')}</div>`;
+}
+
+function addressBlock(title, address) {
+  if (!address) return '';
+  const lines = [
+    address.companyName,
+    address.customerName,
+    address.address1,
+    address.address2,
+    [address.city, [address.stateIso || address.state, address.zipCode].filter(Boolean).join(' ')].filter(Boolean).join(', '),
+    address.countryIso || address.country
+  ].filter(Boolean);
+  return `<div><h3>${title}</h3>${lines.map(escapeHtml).join('<br>')}</div>`;
+}
+
+function lineItemGroupSection(group, index, urlMapping) {
+  const items = group.lineItems || [];
+  const sizes = sortSizes(items.flatMap(item => (item.sizes || []).map(size => size.size)));
+
+  const rows = items.map(item => {
+    const counts = Object.fromEntries((item.sizes || []).map(size => [size.size, size.count]));
+    const quantity = Number(item.items) || 0;
+    return `<tr>
+<td>${escapeHtml(item.description)}${mockupFigures(item.mockups, urlMapping)}</td>
+<td>${escapeHtml(item.itemNumber)}</td>
+<td>${escapeHtml(item.color)}</td>
+<td>${escapeHtml(item.category?.name)}</td>
+${sizes.map(size => `<td class="num">${escapeHtml(counts[size] || '')}</td>`).join('')}
+<td class="num">${escapeHtml(item.items)}</td>
+<td class="num">${formatMoney(item.price)}</td>
+<td class="num">${formatMoney(Number(item.price) * quantity)}</td>
+</tr>`;
+  }).join('\n');
+
+  const imprints = (group.imprints || []).map(imprint => `<tr>
+<td>${escapeHtml(imprint.typeOfWork?.name)}</td>
+<td><div class="note">${escapeHtml(imprint.details)}</div>${mockupFigures(imprint.mockups, urlMapping)}</td>
+</tr>`).join('\n');
+
+  return `<h3>Group ${index + 1}</h3>
+<table>
+<tr><th>Item</th><th>Item #</th><th>Color</th><th>Category</th>${sizes.map(size => `<th class="num">${escapeHtml(sizeLabel(size))}</th>`).join('')}<th class="num">Qty</th><th class="num">Price</th><th class="num">Total</th></tr>
+${rows}
+</table>
+${imprints ? `<table>\n<tr><th>Imprint</th><th>Details</th></tr>\n${imprints}\n</table>` : ''}`;
+}
+
+function tableSection(title, headers, rows) {
+  if (rows.length === 0) return '';
+  return `<h2>${title}</h2>
+<table>
+<tr>${headers.map(([label, num]) => `<th${num ? ' class="num"' : ''}>${label}</th>`).join('')}</tr>
+${rows.map(cells => `<tr>${cells.map((cell, i) => `<td${headers[i][1] ? ' class="num"' : ''}>${cell}</td>`).join('')}</tr>`).join('\n')}
+</table>`;
+}
+
+function orderPage(order, type, urlMapping) {
+  const title = `${type === 'quote' ? 'Quote' : 'Invoice'} #${order.visualId}`;
+  const statusColor = /^#[0-9a-f]{3,8}$/i.test(order.status?.color) ? order.status.color : '#999';
+  const status = order.status
+    ? `<span class="status" style="border-left-color: ${statusColor}">${escapeHtml(order.status.name)}</span>`
+    : '';
+  const tags = (order.tags || []).map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('');
+
+  const meta = [
+    ['Customer', escapeHtml(customerName(order))],
+    ['Contact', escapeHtml([order.contact?.fullName, order.contact?.email, order.contact?.phone].filter(Boolean).join(' · '))],
+    ['Owner', escapeHtml(order.owner?.email)],
+    ['PO Number', escapeHtml(order.visualPoNumber)],
+    ['Created', formatDate(order.timestamps?.createdAt || order.createdAt)],
+    ['Invoice Date', formatDate(order.invoiceAt)],
+    ['Due', formatDate(order.dueAt)],
+    ['Customer Due', formatDate(order.customerDueAt)],
+    ['Payment Due', formatDate(order.paymentDueAt)],
+    ['Payment Term', escapeHtml(order.paymentTerm?.name)],
+    ['Delivery', escapeHtml(order.deliveryMethod?.name)],
+    ['Quantity', escapeHtml(order.totalQuantity)]
+  ].filter(([, value]) => value);
+
+  const totals = [
+    ['Subtotal', order.subtotal],
+    ['Discount', order.discountAmount],
+    ['Sales Tax', order.salesTaxAmount],
+    ['Total', order.total],
+    ['Paid', order.amountPaid],
+    ['Outstanding', order.amountOutstanding]
+  ].filter(([, value]) => value !== null && value !== undefined);
+
+  const notes = [['Production Note', order.productionNote], ['Customer Note', order.customerNote]]
+    .filter(([, note]) => note)
+    .map(([label, note]) => `<h3>${label}</h3><div class="note">${escapeHtml(note)}</div>`)
+    .join('\n');
+
+  const productionFiles = (order.productionFiles || [])
+    .map(file => fileFigure(file.fileUrl, file.name, file.mimeType, urlMapping)).join('');
+
+  const body = `<header>
+<a href="../index.html">&larr; All orders</a>
+<h1>${escapeHtml(title)}${order.nickname ? ` &mdash; ${escapeHtml(order.nickname)}` : ''}</h1>
+${status} ${tags}
+</header>
+<main>
+<div class="meta">
+${meta.map(([label, value]) => `<div><span>${label}:</span> ${value}</div>`).join('\n')}
+</div>
+
+<h2>Totals</h2>
+<table>
+${totals.map(([label, value]) => `<tr><th>${label}</th><td class="num">${formatMoney(value)}</td></tr>`).join('\n')}
+</table>
+
+${order.billingAddress || order.shippingAddress ? `<div class="meta">
+${addressBlock('Billing Address', order.billingAddress)}
+${addressBlock('Shipping Address', order.shippingAddress)}
+</div>` : ''}
+
+${notes}
+
+${(order.lineItemGroups || []).length > 0 ? '<h2>Line Items</h2>' : ''}
+${(order.lineItemGroups || []).map((group, index) => lineItemGroupSection(group, index, urlMapping)).join('\n')}
+
+${tableSection('Fees', [['Description'], ['Qty', true], ['Unit Price', true], ['Amount', true]],
+    (order.fees || []).map(fee => [escapeHtml(fee.description), escapeHtml(fee.quantity), formatMoney(fee.unitPrice), formatMoney(fee.amount)]))}
+
+${tableSection('Payments', [['Date'], ['Type'], ['Category'], ['Description'], ['Amount', true]],
+    (order.transactions || []).map(transaction => [formatDate(transaction.transactionDate), escapeHtml(transaction.__typename),
+      escapeHtml(transaction.category), escapeHtml(transaction.description), formatMoney(transaction.amount)]))}
+
+${tableSection('Expenses', [['Date'], ['Name'], ['Amount', true]],
+    (order.expenses || []).map(expense => [formatDate(expense.transactionAt), escapeHtml(expense.name), formatMoney(expense.amount)]))}
+
+${tableSection('Tasks', [['Task'], ['Due'], ['Completed']],
+    (order.tasks || []).map(task => [escapeHtml(task.name), formatDate(task.dueAt), task.completed ? formatDate(task.completedAt) || 'yes' : '']))}
+
+${productionFiles ? `<h2>Production Files</h2>\n<div class="files">${productionFiles}</div>` : ''}
+</main>`;
+
+  return page(title, body.replace(/\n{3,}/g, '\n\n'), '../');
+}
+
+// =============================================================================
+// INDEX
+// =============================================================================
+
+function indexEntry(order, type) {
+  const tags = Array.isArray(order.tags) ? order.tags : [];
+  return {
+    type,
+    visualId: String(order.visualId),
+    href: `orders/${orderPageName(order, type)}`,
+    date: formatDate(order.invoiceAt || order.timestamps?.createdAt || order.createdAt),
+    customer: customerName(order),
+    nickname: order.nickname || '',
+    status: order.status?.name || '',
+    tags,
+    total: formatMoney(order.total),
+    search: [
+      order.visualId, order.nickname, customerName(order), order.contact?.fullName, order.contact?.email,
+      order.visualPoNumber, order.productionNote, order.customerNote, ...tags
+    ].filter(Boolean).join(' ').toLowerCase()
+  };
+}
+
+function indexPage(count) {
+  const body = `<header>
+<h1>Printavo Archive</h1>
+<div>${count} orders, generated ${escapeHtml(new Date().toISOString().slice(0, 10))}</div>
+</header>
+<main>
+<div class="filters">
+<input id="search" type="search" placeholder="Search number, nickname, customer, email, notes, tags..." autofocus>
+<input id="customer" list="customers" placeholder="Customer">
+<datalist id="customers"></datalist>
+<select id="type"><option value="">Invoices and quotes</option><option value="invoice">Invoices</option><option value="quote">Quotes</option></select>
+<select id="status"><option value="">Any status</option></select>
+<select id="tag"><option value="">Any tag</option></select>
+<label>From <input id="from" type="date"></label>
+<label>To <input id="to" type="date"></label>
+</div>
+<div id="count"></div>
+<table>
+<thead><tr><th>#</th><th>Type</th><th>Date</th><th>Customer</th><th>Nickname</th><th>Status</th><th>Tags</th><th class="num">Total</th></tr></thead>
+<tbody id="results"></tbody>
+</table>
+</main>
+<script src="orders-index.js"></script>
+<script src="archive.js"></script>`;
+
+  return page('Printavo Archive', body, '');
+}
+
+// =============================================================================
+// MAIN EXPORT LOGIC
+// =============================================================================
+
+function exportHTML() {
+  log('╔════════════════════════════════════════════════════════════╗');
+  log('║            PRINTAVO HTML ARCHIVE                           ║');
+  log('╚════════════════════════════════════════════════════════════╝');
+
+  log(`\nLoading backup from ${DATA_DIR}...`);
+  const data = loadBackup({
+    dataDir: DATA_DIR,
+    onError: (name, err) => logError(`Failed to load ${name}: ${err.message}`)
+  });
+  const urlMapping = loadUrlMapping(DATA_DIR);
+
+  if (data.orders.length === 0) {
+    logError(`No orders found in ${DATA_DIR} - run extract-all-data.js first`);
+    process.exit(1);
+  }
+  log(`Found ${data.invoices.length} invoices, ${data.quotes.length} quotes, ${urlMapping.size} downloaded files`);
+  if (urlMapping.size === 0) {
+    log('No url-mapping.csv yet - files will link to Printavo (run download-files.js first to use local copies)');
+  }
+
+  fs.mkdirSync(ORDERS_DIR, { recursive: true });
+
+  const index = [];
+  let pages = 0;
+  for (const [type, orders] of [['invoice', data.invoices], ['quote', data.quotes]]) {
+    for (const order of orders) {
+      fs.writeFileSync(path.join(ORDERS_DIR, orderPageName(order, type)), orderPage(order, type, urlMapping));
+      index.push(indexEntry(order, type));
+      pages++;
+      if (pages % 500 === 0) {
+        log(`Wrote ${pages}/${data.orders.length} order pages...`);
+      }
+    }
+  }
+
+  // Newest first
+  index.sort((a, b) => b.date.localeCompare(a.date) || b.visualId.localeCompare(a.visualId, undefined, { numeric: true }));
+
+  // A script rather than JSON, since browsers won't fetch() from file:// pages
+  const indexJSON = JSON.stringify(index).replace(/</g, '\\u003c');
+  fs.writeFileSync(path.join(OUTPUT_DIR, 'orders-index.js'), `window.ORDERS = ${indexJSON};\n`);
+  fs.writeFileSync(path.join(OUTPUT_DIR, 'archive.js'), ARCHIVE_SCRIPT.trimStart());
+  fs.writeFileSync(path.join(OUTPUT_DIR, 'style.css'), STYLE.trimStart());
+  fs.writeFileSync(path.join(OUTPUT_DIR, 'index.html'), indexPage(index.length));
+
+  log('\n╔════════════════════════════════════════════════════════════╗');
+  log('║                  EXPORT COMPLETE                            ║');
+  log('╠════════════════════════════════════════════════════════════╣');
+  log(`║  Invoice pages: ${data.invoices.length}`.padEnd(61) + '║');
+  log(`║  Quote pages: ${data.quotes.length}`.padEnd(61) + '║');
+  log(`║  Local files linked: ${localLinks}`.padEnd(61) + '║');
+  log('╚════════════════════════════════════════════════════════════╝');
+  log(`\nOpen in a browser: ${path.join(OUTPUT_DIR, 'index.html')}`);
+}
+
+// =============================================================================
+// ENTRY POINT
+// =============================================================================
+
+try {
+  exportHTML();
+} catch (err) {
+  logError(`Fatal error: ${err.message}`);
+  process.exit(1);
+}
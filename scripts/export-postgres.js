@@ -0,0 +1,678 @@
+#!/usr/bin/env node
+/**
+ * Printavo PostgreSQL Export
+ *
+ * Writes SQL files that load the extracted invoices and quotes into
+ * PostgreSQL, for migrating into another system. Run this AFTER
+ * extract-all-data.js (and download-files.js, to record where each file
+ * was saved).
+ *
+ * Files (in data/postgres/ unless another directory is given):
+ * - schema.sql       CREATE TABLE / INDEX IF NOT EXISTS, in the printavo schema
+ * - data/00_clear_order_children.sql  deletes the line items, files,
+ *                    payments... of every order in the backup
+ * - data/NN_<table>.sql  batched INSERT ... ON CONFLICT upserts, one file per table
+ * - load.sql         runs all of the above in one transaction
+ *
+ * Money is numeric, timestamps timestamptz, tags text[], addresses and each
+ * order's header fields jsonb. Every row is keyed on its Printavo ID, so
+ * loading the same (or a newer) backup again updates rows in place instead
+ * of duplicating them. Each loaded order's child rows are replaced, so a
+ * line item or payment removed from an order disappears; orders, customers
+ * and contacts removed from Printavo between backups are not deleted.
+ *
+ * Usage:
+ *   node scripts/export-postgres.js [output-dir]
+ *   psql "$DATABASE_URL" -f data/postgres/load.sql
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { resolveDataDir, loadBackup, loadUrlMapping, collectPeople } = require('./lib/data-loader');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const DATA_DIR = resolveDataDir();
+const OUTPUT_DIR = path.resolve(process.argv[2] || path.join(DATA_DIR, 'postgres'));
+
+const PG_SCHEMA = 'printavo';
+const BATCH_SIZE = 500; // rows per INSERT statement
+
+// Connections saved on each order, dropped from orders.raw (they have tables)
+const ORDER_CONNECTIONS = ['lineItemGroups', 'productionFiles', 'fees', 'expenses', 'tasks', 'transactions'];
+
+// Tables holding an order's child rows, children first: all of an order's
+// rows in these are deleted before its rows are loaded again
+const ORDER_CHILD_TABLES = [
+  'line_item_sizes', 'mockups', 'imprints', 'line_items', 'line_item_groups',
+  'production_files', 'fees', 'expenses', 'tasks', 'transactions'
+];
+
+// Deferred foreign keys: everything is checked once, at COMMIT
+const FK = 'DEFERRABLE INITIALLY DEFERRED';
+
+/**
+ * Tables in load order. Columns are [name, type, constraint]; `key` is the
+ * conflict target for upserts.
+ */
+const TABLES = [
+  {
+    name: 'customers',
+    key: ['id'],
+    columns: [
+      ['id', 'text', 'PRIMARY KEY'],
+      ['company_name', 'text'],
+      ['primary_contact_id', 'text'], // no FK: contacts is created after customers
+      ['tax_exempt', 'boolean'],
+      ['internal_note', 'text'],
+      ['order_count', 'integer'],
+      ['billing_address', 'jsonb'],
+      ['shipping_addresses', 'jsonb'],
+      ['created_at', 'timestamptz'],
+      ['updated_at', 'timestamptz'],
+      ['raw', 'jsonb']
+    ]
+  },
+  {
+    name: 'contacts',
+    key: ['id'],
+    columns: [
+      ['id', 'text', 'PRIMARY KEY'],
+      ['customer_id', 'text', `REFERENCES customers(id) ${FK}`],
+      ['full_name', 'text'],
+      ['first_name', 'text'],
+      ['last_name', 'text'],
+      ['email', 'text'],
+      ['phone', 'text'],
+      ['fax', 'text'],
+      ['raw', 'jsonb']
+    ]
+  },
+  {
+    name: 'orders',
+    key: ['id'],
+    columns: [
+      ['id', 'text', 'PRIMARY KEY'],
+      ['type', 'text', 'NOT NULL'],
+      ['visual_id', 'text', 'NOT NULL'],
+      ['nickname', 'text'],
+      ['status_id', 'text'],
+      ['status_name', 'text'],
+      ['customer_id', 'text', `REFERENCES customers(id) ${FK}`],
+      ['contact_id', 'text', `REFERENCES contacts(id) ${FK}`],
+      ['owner_email', 'text'],
+      ['tags', 'text[]'],
+      ['total', 'numeric(12,2)'],
+      ['subtotal', 'numeric(12,2)'],
+      ['sales_tax_amount', 'numeric(12,2)'],
+      ['discount_amount', 'numeric(12,2)'],
+      ['amount_paid', 'numeric(12,2)'],
+      ['amount_outstanding', 'numeric(12,2)'],
+      ['paid_in_full', 'boolean'],
+      ['total_quantity', 'integer'],
+      ['created_at', 'timestamptz'],
+      ['updated_at', 'timestamptz'],
+      ['invoice_at', 'timestamptz'],
+      ['due_at', 'timestamptz'],
+      ['customer_due_at', 'date'],
+      ['payment_due_at', 'date'],
+      ['delivery_method', 'text'],
+      ['payment_term', 'text'],
+      ['production_note', 'text'],
+      ['customer_note', 'text'],
+      ['billing_address', 'jsonb'],
+      ['shipping_address', 'jsonb'],
+      ['extracted_at', 'timestamptz'],
+      ['raw', 'jsonb']
+    ]
+  },
+  {
+    name: 'line_item_groups',
+    key: ['id'],
+    columns: [
+      ['id', 'text', 'PRIMARY KEY'],
+      ['order_id', 'text', `NOT NULL REFERENCES orders(id) ${FK}`],
+      ['position', 'integer']
+    ]
+  },
+  {
+    name: 'line_items',
+    key: ['id'],
+    columns: [
+      ['id', 'text', 'PRIMARY KEY'],
+      ['group_id', 'text', `NOT NULL REFERENCES line_item_groups(id) ${FK}`],
+      ['order_id', 'text', `NOT NULL REFERENCES orders(id) ${FK}`],
+      ['position', 'integer'],
+      ['description', 'text'],
+      ['item_number', 'text'],
+      ['color', 'text'],
+      ['category', 'text'],
+      ['price', 'numeric(12,2)'],
+      ['quantity', 'integer'],
+      ['taxed', 'boolean'],
+      ['product_id', 'text'],
+      ['product_brand', 'text'],
+      ['product_description', 'text']
+    ]
+  },
+  {
+    name: 'line_item_sizes',
+    key: ['line_item_id', 'size'],
+    columns: [
+      ['line_item_id', 'text', `NOT NULL REFERENCES line_items(id) ${FK}`],
+      ['size', 'text', 'NOT NULL'],
+      ['count', 'integer']
+    ]
+  },
+  {
+    name: 'imprints',
+    key: ['id'],
+    columns: [
+      ['id', 'text', 'PRIMARY KEY'],
+      ['group_id', 'text', `NOT NULL REFERENCES line_item_groups(id) ${FK}`],
+      ['order_id', 'text', `NOT NULL REFERENCES orders(id) ${FK}`],
+      ['type_of_work', 'text'],
+      ['details', 'text']
+    ]
+  },
+  {
+    name: 'mockups',
+    key: ['id'],
+    columns: [
+      ['id', 'text', 'PRIMARY KEY'],
+      ['order_id', 'text', `NOT NULL REFERENCES orders(id) ${FK}`],
+      ['imprint_id', 'text', `REFERENCES imprints(id) ${FK}`],
+      ['line_item_id', 'text', `REFERENCES line_items(id) ${FK}`],
+      ['full_image_url', 'text'],
+      ['thumbnail_url', 'text'],
+      ['mime_type', 'text'],
+      ['local_path', 'text']
+    ]
+  },
+  {
+    name: 'production_files',
+    key: ['id'],
+    columns: [
+      ['id', 'text', 'PRIMARY KEY'],
+      ['order_id', 'text', `NOT NULL REFERENCES orders(id) ${FK}`],
+      ['name', 'text'],
+      ['file_url', 'text'],
+      ['mime_type', 'text'],
+      ['local_path', 'text']
+    ]
+  },
+  {
+    name: 'fees',
+    key: ['id'],
+    columns: [
+      ['id', 'text', 'PRIMARY KEY'],
+      ['order_id', 'text', `NOT NULL REFERENCES orders(id) ${FK}`],
+      ['description', 'text'],
+      ['amount', 'numeric(12,2)'],
+      ['quantity', 'numeric'],
+      ['unit_price', 'numeric(12,2)'],
+      ['taxable', 'boolean']
+    ]
+  },
+  {
+    name: 'expenses',
+    key: ['id'],
+    columns: [
+      ['id', 'text', 'PRIMARY KEY'],
+      ['order_id', 'text', `NOT NULL REFERENCES orders(id) ${FK}`],
+      ['name', 'text'],
+      ['amount', 'numeric(12,2)'],
+      ['transaction_at', 'timestamptz']
+    ]
+  },
+  {
+    name: 'tasks',
+    key: ['id'],
+    columns: [
+      ['id', 'text', 'PRIMARY KEY'],
+      ['order_id', 'text', `NOT NULL REFERENCES orders(id) ${FK}`],
+      ['name', 'text'],
+      ['due_at', 'timestamptz'],
+      ['completed', 'boolean'],
+      ['completed_at', 'timestamptz']
+    ]
+  },
+  {
+    name: 'transactions',
+    key: ['id'],
+    columns: [
+      ['id', 'text', 'PRIMARY KEY'],
+      ['order_id', 'text', `NOT NULL REFERENCES orders(id) ${FK}`],
+      ['kind', 'text'],
+      ['amount', 'numeric(12,2)'],
+      ['transaction_date', 'date'],
+      ['category', 'text'],
+      ['source', 'text'],
+      ['description', 'text']
+    ]
+  }
+];
+
+const TABLE_KEYS = Object.fromEntries(TABLES.map(table => [table.name, table.key]));
+
+const INDEXES = [
+  'orders(visual_id)',
+  'orders(customer_id)',
+  'orders(contact_id)',
+  'orders USING gin (tags)',
+  'contacts(customer_id)',
+  'line_item_groups(order_id)',
+  'line_items(group_id)',
+  'line_items(order_id)',
+  'line_items(product_id)',
+  'imprints(group_id)',
+  'imprints(order_id)',
+  'mockups(order_id)',
+  'production_files(order_id)',
+  'fees(order_id)',
+  'expenses(order_id)',
+  'tasks(order_id)',
+  'transactions(order_id)'
+];
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+function log(message) {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`);
+}
+
+function logError(message) {
+  const timestamp = new Date().toISOString();
+  console.error(`[${timestamp}] ERROR: ${message}`);
+}
+
+// Postgres text can't hold NUL characters
+function quote(text) {
+  return `'${text.replace(/\u0000/g, '').replace(/'/g, "''")}'`;
+}
+
+/**
+ * SQL literal for a JSON value in a column of the given type
+ */
+function sqlValue(value, type) {
+  if (value === null || value === undefined) return 'NULL';
+  if (value === '' && type !== 'text') return 'NULL';
+
+  if (type === 'jsonb') {
+    const json = JSON.stringify(value, (key, child) => typeof child === 'string' ? child.replace(/\u0000/g, '') : child);
+    return `${quote(json)}::jsonb`;
+  }
+  if (type === 'text[]') {
+    const items = Array.isArray(value) ? value : String(value).split(',').map(tag => tag.trim()).filter(Boolean);
+    return items.length > 0 ? `ARRAY[${items.map(item => quote(String(item))).join(', ')}]::text[]` : `'{}'::text[]`;
+  }
+  if (type === 'boolean') return value ? 'true' : 'false';
+  if (type === 'integer' || type.startsWith('numeric')) {
+    const number = Number(value);
+    return Number.isFinite(number) ? String(number) : 'NULL';
+  }
+  if (type === 'timestamptz' || type === 'date') return `${quote(String(value))}::${type}`;
+  return quote(typeof value === 'string' ? value : JSON.stringify(value));
+}
+
+function tableDDL(table) {
+  const columns = table.columns.map(([name, type, constraint]) => `  ${[name, type, constraint].filter(Boolean).join(' ')}`);
+  if (table.key.length > 1) {
+    columns.push(`  PRIMARY KEY (${table.key.join(', ')})`);
+  }
+  return `CREATE TABLE IF NOT EXISTS ${table.name} (\n${columns.join(',\n')}\n);`;
+}
+
+function schemaSQL() {
+  const indexes = INDEXES.map(spec => {
+    const name = `idx_${spec.replace(/USING \w+/, '').replace(/\W+/g, '_').replace(/_$/, '')}`;
+    return `CREATE INDEX IF NOT EXISTS ${name} ON ${spec};`;
+  });
+
+  return [
+    `-- Printavo backup schema, generated by export-postgres.js`,
+    `CREATE SCHEMA IF NOT EXISTS ${PG_SCHEMA};`,
+    `SET search_path TO ${PG_SCHEMA};`,
+    '',
+    ...TABLES.map(tableDDL).join('\n\n').split('\n'),
+    '',
+    ...indexes,
+    ''
+  ].join('\n');
+}
+
+/**
+ * Upsert statements for one table, BATCH_SIZE rows each
+ */
+function upsertSQL(table, rows) {
+  const names = table.columns.map(([name]) => name);
+  const updates = names.filter(name => !table.key.includes(name)).map(name => `${name} = EXCLUDED.${name}`);
+  const statements = [];
+
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    const values = rows.slice(i, i + BATCH_SIZE)
+      .map(row => `(${table.columns.map(([name, type]) => sqlValue(row[name], type)).join(', ')})`);
+    statements.push(
+      `INSERT INTO ${table.name} (${names.join(', ')}) VALUES\n${values.join(',\n')}\n` +
+      `ON CONFLICT (${table.key.join(', ')}) DO UPDATE SET\n  ${updates.join(',\n  ')};`
+    );
+  }
+
+  return `SET search_path TO ${PG_SCHEMA};\n\n${statements.join('\n\n')}\n`;
+}
+
+/**
+ * Delete the child rows of every order being loaded, so the upserts that
+ * follow leave each order with exactly the children in the backup
+ */
+function clearChildrenSQL(orderIds) {
+  const statements = [
+    'CREATE TEMP TABLE loaded_orders (id text PRIMARY KEY) ON COMMIT DROP;'
+  ];
+  for (let i = 0; i < orderIds.length; i += BATCH_SIZE) {
+    const values = orderIds.slice(i, i + BATCH_SIZE).map(id => `(${quote(id)})`);
+    statements.push(`INSERT INTO loaded_orders (id) VALUES\n${values.join(',\n')};`);
+  }
+  for (const table of ORDER_CHILD_TABLES) {
+    statements.push(table === 'line_item_sizes'
+      ? 'DELETE FROM line_item_sizes WHERE line_item_id IN ' +
+        '(SELECT id FROM line_items WHERE order_id IN (SELECT id FROM loaded_orders));'
+      : `DELETE FROM ${table} WHERE order_id IN (SELECT id FROM loaded_orders);`);
+  }
+
+  return `SET search_path TO ${PG_SCHEMA};\n\n${statements.join('\n\n')}\n`;
+}
+
+// =============================================================================
+// ROWS
+// =============================================================================
+
+function customerRow(customer) {
+  return {
+    id: customer.id,
+    company_name: customer.companyName,
+    primary_contact_id: customer.primaryContact?.id,
+    tax_exempt: customer.taxExempt,
+    internal_note: customer.internalNote,
+    order_count: customer.orderCount,
+    billing_address: customer.billingAddress,
+    shipping_addresses: customer.shippingAddresses,
+    created_at: customer.timestamps?.createdAt,
+    updated_at: customer.timestamps?.updatedAt,
+    raw: customer
+  };
+}
+
+function contactRow(contact) {
+  return {
+    id: contact.id,
+    customer_id: contact.customer?.id,
+    full_name: contact.fullName,
+    first_name: contact.firstName,
+    last_name: contact.lastName,
+    email: contact.email,
+    phone: contact.phone,
+    fax: contact.fax,
+    raw: contact
+  };
+}
+
+/**
+ * Add one order's rows to every table. The first row for a key wins, since
+ * a single upsert can't touch the same row twice.
+ */
+function addOrderRows(rows, order, type, urlMapping) {
+  const add = (table, row) => {
+    const key = TABLE_KEYS[table].map(name => row[name]).join('\u0000');
+    if (!rows[table].has(key)) rows[table].set(key, row);
+  };
+  const orderId = order.id;
+  const localPath = url => urlMapping.get(url)?.localPath;
+
+  const raw = { ...order };
+  ORDER_CONNECTIONS.forEach(field => delete raw[field]);
+
+  add('orders', {
+    id: orderId,
+    type,
+    visual_id: order.visualId,
+    nickname: order.nickname,
+    status_id: order.status?.id,
+    status_name: order.status?.name,
+    customer_id: order.contact?.customer?.id,
+    contact_id: order.contact?.id,
+    owner_email: order.owner?.email,
+    tags: order.tags,
+    total: order.total,
+    subtotal: order.subtotal,
+    sales_tax_amount: order.salesTaxAmount,
+    discount_amount: order.discountAmount,
+    amount_paid: order.amountPaid,
+    amount_outstanding: order.amountOutstanding,
+    paid_in_full: order.paidInFull,
+    total_quantity: order.totalQuantity,
+    created_at: order.timestamps?.createdAt || order.createdAt,
+    updated_at: order.timestamps?.updatedAt,
+    invoice_at: order.invoiceAt,
+    due_at: order.dueAt,
+    customer_due_at: order.customerDueAt,
+    payment_due_at: order.paymentDueAt,
+    delivery_method: order.deliveryMethod?.name,
+    payment_term: order.paymentTerm?.name,
+    production_note: order.productionNote,
+    customer_note: order.customerNote,
+    billing_address: order.billingAddress,
+    shipping_address: order.shippingAddress,
+    extracted_at: order.extractedAt,
+    raw
+  });
+
+  for (const group of order.lineItemGroups || []) {
+    add('line_item_groups', { id: group.id, order_id: orderId, position: group.position });
+
+    for (const item of group.lineItems || []) {
+      add('line_items', {
+        id: item.id,
+        group_id: group.id,
+        order_id: orderId,
+        position: item.position,
+        description: item.description,
+        item_number: item.itemNumber,
+        color: item.color,
+        category: item.category?.name,
+        price: item.price,
+        quantity: item.items,
+        taxed: item.taxed,
+        product_id: item.product?.id,
+        product_brand: item.product?.brand,
+        product_description: item.product?.description
+      });
+      for (const size of item.sizes || []) {
+        add('line_item_sizes', { line_item_id: item.id, size: size.size, count: size.count });
+      }
+      for (const mockup of item.mockups || []) {
+        add('mockups', {
+          id: mockup.id,
+          order_id: orderId,
+          line_item_id: item.id,
+          full_image_url: mockup.fullImageUrl,
+          thumbnail_url: mockup.thumbnailUrl,
+          mime_type: mockup.mimeType,
+          local_path: localPath(mockup.fullImageUrl)
+        });
+      }
+    }
+
+    for (const imprint of group.imprints || []) {
+      add('imprints', {
+        id: imprint.id,
+        group_id: group.id,
+        order_id: orderId,
+        type_of_work: imprint.typeOfWork?.name,
+        details: imprint.details
+      });
+      for (const mockup of imprint.mockups || []) {
+        add('mockups', {
+          id: mockup.id,
+          order_id: orderId,
+          imprint_id: imprint.id,
+          full_image_url: mockup.fullImageUrl,
+          thumbnail_url: mockup.thumbnailUrl,
+          mime_type: mockup.mimeType,
+          local_path: localPath(mockup.fullImageUrl)
+        });
+      }
+    }
+  }
+
+  for (const file of order.productionFiles || []) {
+    add('production_files', {
+      id: file.id,
+      order_id: orderId,
+      name: file.name,
+      file_url: file.fileUrl,
+      mime_type: file.mimeType,
+      local_path: localPath(file.fileUrl)
+    });
+  }
+
+  for (const fee of order.fees || []) {
+    add('fees', {
+      id: fee.id,
+      order_id: orderId,
+      description: fee.description,
+      amount: fee.amount,
+      quantity: fee.quantity,
+      unit_price: fee.unitPrice,
+      taxable: fee.taxable
+    });
+  }
+
+  for (const expense of order.expenses || []) {
+    add('expenses', {
+      id: expense.id,
+      order_id: orderId,
+      name: expense.name,
+      amount: expense.amount,
+      transaction_at: expense.transactionAt
+    });
+  }
+
+  for (const task of order.tasks || []) {
+    add('tasks', {
+      id: task.id,
+      order_id: orderId,
+      name: task.name,
+      due_at: task.dueAt,
+      completed: task.completed,
+      completed_at: task.completedAt
+    });
+  }
+
+  for (const transaction of order.transactions || []) {
+    add('transactions', {
+      id: transaction.id,
+      order_id: orderId,
+      kind: transaction.__typename,
+      amount: transaction.amount,
+      transaction_date: transaction.transactionDate,
+      category: transaction.category,
+      source: transaction.source,
+      description: transaction.description
+    });
+  }
+}
+
+// =============================================================================
+// MAIN EXPORT LOGIC
+// =============================================================================
+
+function exportPostgres() {
+  log('╔════════════════════════════════════════════════════════════╗');
+  log('║            PRINTAVO POSTGRESQL EXPORT                      ║');
+  log('╚════════════════════════════════════════════════════════════╝');
+
+  log(`\nLoading backup from ${DATA_DIR}...`);
+  const data = loadBackup({
+    dataDir: DATA_DIR,
+    onError: (name, err) => logError(`Failed to load ${name}: ${err.message}`)
+  });
+  const urlMapping = loadUrlMapping(DATA_DIR);
+
+  if (data.orders.length === 0) {
+    logError(`No orders found in ${DATA_DIR} - run extract-all-data.js first`);
+    process.exit(1);
+  }
+  log(`Found ${data.invoices.length} invoices, ${data.quotes.length} quotes, ${urlMapping.size} downloaded files`);
+
+  const rows = Object.fromEntries(TABLES.map(table => [table.name, new Map()]));
+
+  const { customers, contacts } = collectPeople(data);
+  for (const customer of customers.values()) rows.customers.set(customer.id, customerRow(customer));
+  for (const contact of contacts.values()) rows.contacts.set(contact.id, contactRow(contact));
+
+  // Invoices first: a quote converted to an invoice keeps its ID, and the
+  // invoice is the later state of that order
+  let converted = 0;
+  for (const [type, orders] of [['invoice', data.invoices], ['quote', data.quotes]]) {
+    for (const order of orders) {
+      if (rows.orders.has(order.id)) {
+        converted++;
+        continue;
+      }
+      addOrderRows(rows, order, type, urlMapping);
+    }
+  }
+
+  const dataDir = path.join(OUTPUT_DIR, 'data');
+  fs.mkdirSync(dataDir, { recursive: true });
+  fs.writeFileSync(path.join(OUTPUT_DIR, 'schema.sql'), schemaSQL());
+
+  const dataFiles = ['data/00_clear_order_children.sql'];
+  fs.writeFileSync(path.join(dataDir, '00_clear_order_children.sql'), clearChildrenSQL([...rows.orders.values()].map(order => order.id)));
+  TABLES.forEach((table, index) => {
+    const file = `${String(index + 1).padStart(2, '0')}_${table.name}.sql`;
+    fs.writeFileSync(path.join(dataDir, file), upsertSQL(table, [...rows[table.name].values()]));
+    dataFiles.push(`data/${file}`);
+  });
+
+  // \ir resolves paths relative to load.sql, so psql can run it from anywhere
+  fs.writeFileSync(path.join(OUTPUT_DIR, 'load.sql'), [
+    '-- Load the Printavo backup: psql "$DATABASE_URL" -f load.sql',
+    '\\set ON_ERROR_STOP on',
+    'BEGIN;',
+    '\\ir schema.sql',
+    ...dataFiles.map(file => `\\ir ${file}`),
+    'COMMIT;',
+    ''
+  ].join('\n'));
+
+  log('\n╔════════════════════════════════════════════════════════════╗');
+  log('║                  EXPORT COMPLETE                            ║');
+  log('╠════════════════════════════════════════════════════════════╣');
+  for (const table of TABLES) {
+    log(`║  ${table.name}: ${rows[table.name].size} rows`.padEnd(61) + '║');
+  }
+  if (converted > 0) {
+    log(`║  Quotes skipped (same order as an invoice): ${converted}`.padEnd(61) + '║');
+  }
+  log('╚════════════════════════════════════════════════════════════╝');
+  log(`\nSQL files saved to: ${OUTPUT_DIR}`);
+  log(`Load with: psql "$DATABASE_URL" -f "${path.join(OUTPUT_DIR, 'load.sql')}"`);
+}
+
+// =============================================================================
+// ENTRY POINT
+// =============================================================================
+
+try {
+  exportPostgres();
+} catch (err) {
+  logError(`Fatal error: ${err.message}`);
+  process.exit(1);
+}
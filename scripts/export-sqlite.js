@@ -0,0 +1,615 @@
+#!/usr/bin/env node
+/**
+ * Printavo SQLite Export
+ *
+ * Builds a single SQLite database from the extracted backup so it can be
+ * queried with SQL after Printavo is gone. Run this AFTER extract-all-data.js
+ * (and download-files.js, to record where each file was saved).
+ *
+ * Features:
+ * - Normalized tables: orders, customers, contacts, addresses, line item
+ *   groups, line items, sizes, imprints, mockups, production files, fees,
+ *   expenses, tasks, transactions
+ * - Foreign keys, plus indexes on visual ID, customer and every order link
+ * - local_path on mockups and production files, from url-mapping.csv
+ * - Each order's header fields kept as JSON in orders.raw (json_extract)
+ *
+ * Requires the sqlite3 command-line tool. The database is rebuilt from
+ * scratch on every run.
+ *
+ * Usage:
+ *   node scripts/export-sqlite.js [output.db]    (default: data/printavo.db)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { once } = require('events');
+const { resolveDataDir, loadBackup, loadUrlMapping, collectPeople } = require('./lib/data-loader');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const DATA_DIR = resolveDataDir();
+const DB_FILE = path.resolve(process.argv[2] || path.join(DATA_DIR, 'printavo.db'));
+
+// Connections saved on each order, dropped from orders.raw (they have tables)
+const ORDER_CONNECTIONS = ['lineItemGroups', 'productionFiles', 'fees', 'expenses', 'tasks', 'transactions'];
+
+// Deferred foreign keys: everything is checked once, at COMMIT
+const FK = 'DEFERRABLE INITIALLY DEFERRED';
+
+const SCHEMA = `
+CREATE TABLE customers (
+  id TEXT PRIMARY KEY,
+  company_name TEXT,
+  primary_contact_id TEXT REFERENCES contacts(id) ${FK},
+  tax_exempt INTEGER,
+  internal_note TEXT,
+  order_count INTEGER,
+  created_at TEXT,
+  updated_at TEXT,
+  raw TEXT
+);
+
+CREATE TABLE contacts (
+  id TEXT PRIMARY KEY,
+  customer_id TEXT REFERENCES customers(id) ${FK},
+  full_name TEXT,
+  first_name TEXT,
+  last_name TEXT,
+  email TEXT,
+  phone TEXT,
+  fax TEXT,
+  raw TEXT
+);
+
+CREATE TABLE orders (
+  id TEXT PRIMARY KEY,
+  type TEXT NOT NULL,
+  visual_id TEXT NOT NULL,
+  nickname TEXT,
+  status_id TEXT,
+  status_name TEXT,
+  customer_id TEXT REFERENCES customers(id) ${FK},
+  contact_id TEXT REFERENCES contacts(id) ${FK},
+  owner_email TEXT,
+  total REAL,
+  subtotal REAL,
+  sales_tax_amount REAL,
+  discount_amount REAL,
+  amount_paid REAL,
+  amount_outstanding REAL,
+  paid_in_full INTEGER,
+  total_quantity INTEGER,
+  created_at TEXT,
+  updated_at TEXT,
+  invoice_at TEXT,
+  due_at TEXT,
+  customer_due_at TEXT,
+  payment_due_at TEXT,
+  delivery_method TEXT,
+  payment_term TEXT,
+  production_note TEXT,
+  customer_note TEXT,
+  extracted_at TEXT,
+  raw TEXT
+);
+
+CREATE TABLE addresses (
+  id INTEGER PRIMARY KEY,
+  order_id TEXT REFERENCES orders(id) ${FK},
+  customer_id TEXT REFERENCES customers(id) ${FK},
+  kind TEXT NOT NULL,
+  company_name TEXT,
+  customer_name TEXT,
+  address1 TEXT,
+  address2 TEXT,
+  city TEXT,
+  state TEXT,
+  zip_code TEXT,
+  country TEXT
+);
+
+CREATE TABLE line_item_groups (
+  id TEXT PRIMARY KEY,
+  order_id TEXT NOT NULL REFERENCES orders(id) ${FK},
+  position INTEGER
+);
+
+CREATE TABLE line_items (
+  id TEXT PRIMARY KEY,
+  group_id TEXT NOT NULL REFERENCES line_item_groups(id) ${FK},
+  order_id TEXT NOT NULL REFERENCES orders(id) ${FK},
+  position INTEGER,
+  description TEXT,
+  item_number TEXT,
+  color TEXT,
+  category TEXT,
+  price REAL,
+  quantity INTEGER,
+  taxed INTEGER,
+  product_id TEXT,
+  product_brand TEXT,
+  product_description TEXT
+);
+
+CREATE TABLE line_item_sizes (
+  line_item_id TEXT NOT NULL REFERENCES line_items(id) ${FK},
+  size TEXT NOT NULL,
+  count INTEGER,
+  PRIMARY KEY (line_item_id, size)
+);
+
+CREATE TABLE imprints (
+  id TEXT PRIMARY KEY,
+  group_id TEXT NOT NULL REFERENCES line_item_groups(id) ${FK},
+  order_id TEXT NOT NULL REFERENCES orders(id) ${FK},
+  type_of_work TEXT,
+  details TEXT
+);
+
+CREATE TABLE mockups (
+  id TEXT PRIMARY KEY,
+  order_id TEXT NOT NULL REFERENCES orders(id) ${FK},
+  imprint_id TEXT REFERENCES imprints(id) ${FK},
+  line_item_id TEXT REFERENCES line_items(id) ${FK},
+  full_image_url TEXT,
+  thumbnail_url TEXT,
+  mime_type TEXT,
+  local_path TEXT
+);
+
+CREATE TABLE production_files (
+  id TEXT PRIMARY KEY,
+  order_id TEXT NOT NULL REFERENCES orders(id) ${FK},
+  name TEXT,
+  file_url TEXT,
+  mime_type TEXT,
+  local_path TEXT
+);
+
+CREATE TABLE fees (
+  id TEXT PRIMARY KEY,
+  order_id TEXT NOT NULL REFERENCES orders(id) ${FK},
+  description TEXT,
+  amount REAL,
+  quantity REAL,
+  unit_price REAL,
+  taxable INTEGER
+);
+
+CREATE TABLE expenses (
+  id TEXT PRIMARY KEY,
+  order_id TEXT NOT NULL REFERENCES orders(id) ${FK},
+  name TEXT,
+  amount REAL,
+  transaction_at TEXT
+);
+
+CREATE TABLE tasks (
+  id TEXT PRIMARY KEY,
+  order_id TEXT NOT NULL REFERENCES orders(id) ${FK},
+  name TEXT,
+  due_at TEXT,
+  completed INTEGER,
+  completed_at TEXT
+);
+
+CREATE TABLE transactions (
+  id TEXT PRIMARY KEY,
+  order_id TEXT NOT NULL REFERENCES orders(id) ${FK},
+  kind TEXT,
+  amount REAL,
+  transaction_date TEXT,
+  category TEXT,
+  source TEXT,
+  description TEXT
+);
+`;
+
+// Created after the inserts, which is faster than maintaining them row by row
+const INDEXES = [
+  'orders(visual_id)',
+  'orders(customer_id)',
+  'orders(contact_id)',
+  'contacts(customer_id)',
+  'addresses(order_id)',
+  'addresses(customer_id)',
+  'line_item_groups(order_id)',
+  'line_items(group_id)',
+  'line_items(order_id)',
+  'line_items(product_id)',
+  'imprints(group_id)',
+  'imprints(order_id)',
+  'mockups(order_id)',
+  'production_files(order_id)',
+  'fees(order_id)',
+  'expenses(order_id)',
+  'tasks(order_id)',
+  'transactions(order_id)'
+];
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+function log(message) {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`);
+}
+
+function logError(message) {
+  const timestamp = new Date().toISOString();
+  console.error(`[${timestamp}] ERROR: ${message}`);
+}
+
+/**
+ * SQL literal for a JSON value (objects are stored as JSON text)
+ */
+function sqlValue(value) {
+  if (value === null || value === undefined) return 'NULL';
+  if (typeof value === 'boolean') return value ? '1' : '0';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'NULL';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return `'${text.replace(/'/g, "''")}'`;
+}
+
+function insert(table, row) {
+  const columns = Object.keys(row);
+  return `INSERT OR IGNORE INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(c => sqlValue(row[c])).join(', ')});`;
+}
+
+/**
+ * Pipe SQL into the sqlite3 CLI. exec() waits when the pipe is full;
+ * close() resolves once sqlite3 has exited cleanly.
+ */
+function openDatabase(dbPath) {
+  const child = spawn('sqlite3', ['-bail', dbPath], { stdio: ['pipe', 'ignore', 'pipe'] });
+  let stderr = '';
+  child.stderr.on('data', chunk => { stderr += chunk; });
+  child.stdin.on('error', () => {}); // sqlite3 exited early; reported by `done`
+
+  const done = new Promise((resolve, reject) => {
+    child.on('error', err => reject(err.code === 'ENOENT'
+      ? new Error('sqlite3 command-line tool not found (install it with e.g. apt install sqlite3 or brew install sqlite)')
+      : err));
+    child.on('close', code => code === 0
+      ? resolve()
+      : reject(new Error(`sqlite3 exited with code ${code}: ${stderr.trim()}`)));
+  });
+  done.catch(() => {});
+
+  return {
+    async exec(sql) {
+      if (!child.stdin.write(sql + '\n')) {
+        await Promise.race([once(child.stdin, 'drain'), done]);
+      }
+    },
+    async close() {
+      child.stdin.end();
+      await done;
+    }
+  };
+}
+
+// =============================================================================
+// ROWS
+// =============================================================================
+
+function customerRow(customer) {
+  return {
+    id: customer.id,
+    company_name: customer.companyName,
+    primary_contact_id: customer.primaryContact?.id,
+    tax_exempt: customer.taxExempt,
+    internal_note: customer.internalNote,
+    order_count: customer.orderCount,
+    created_at: customer.timestamps?.createdAt,
+    updated_at: customer.timestamps?.updatedAt,
+    raw: customer
+  };
+}
+
+function contactRow(contact) {
+  return {
+    id: contact.id,
+    customer_id: contact.customer?.id,
+    full_name: contact.fullName,
+    first_name: contact.firstName,
+    last_name: contact.lastName,
+    email: contact.email,
+    phone: contact.phone,
+    fax: contact.fax,
+    raw: contact
+  };
+}
+
+function addressRow(address, kind, link) {
+  return {
+    ...link,
+    kind,
+    company_name: address.companyName,
+    customer_name: address.customerName,
+    address1: address.address1,
+    address2: address.address2,
+    city: address.city,
+    state: address.stateIso || address.state,
+    zip_code: address.zipCode,
+    country: address.countryIso || address.country
+  };
+}
+
+/**
+ * Every statement for one order, parent rows first
+ */
+function orderStatements(order, type, urlMapping) {
+  const statements = [];
+  const orderId = order.id;
+  const localPath = url => urlMapping.get(url)?.localPath;
+
+  const raw = { ...order };
+  ORDER_CONNECTIONS.forEach(field => delete raw[field]);
+
+  statements.push(insert('orders', {
+    id: orderId,
+    type,
+    visual_id: order.visualId,
+    nickname: order.nickname,
+    status_id: order.status?.id,
+    status_name: order.status?.name,
+    customer_id: order.contact?.customer?.id,
+    contact_id: order.contact?.id,
+    owner_email: order.owner?.email,
+    total: order.total,
+    subtotal: order.subtotal,
+    sales_tax_amount: order.salesTaxAmount,
+    discount_amount: order.discountAmount,
+    amount_paid: order.amountPaid,
+    amount_outstanding: order.amountOutstanding,
+    paid_in_full: order.paidInFull,
+    total_quantity: order.totalQuantity,
+    created_at: order.timestamps?.createdAt || order.createdAt,
+    updated_at: order.timestamps?.updatedAt,
+    invoice_at: order.invoiceAt,
+    due_at: order.dueAt,
+    customer_due_at: order.customerDueAt,
+    payment_due_at: order.paymentDueAt,
+    delivery_method: order.deliveryMethod?.name,
+    payment_term: order.paymentTerm?.name,
+    production_note: order.productionNote,
+    customer_note: order.customerNote,
+    extracted_at: order.extractedAt,
+    raw
+  }));
+
+  if (order.billingAddress) {
+    statements.push(insert('addresses', addressRow(order.billingAddress, 'billing', { order_id: orderId })));
+  }
+  if (order.shippingAddress) {
+    statements.push(insert('addresses', addressRow(order.shippingAddress, 'shipping', { order_id: orderId })));
+  }
+
+  for (const group of order.lineItemGroups || []) {
+    statements.push(insert('line_item_groups', { id: group.id, order_id: orderId, position: group.position }));
+
+    for (const item of group.lineItems || []) {
+      statements.push(insert('line_items', {
+        id: item.id,
+        group_id: group.id,
+        order_id: orderId,
+        position: item.position,
+        description: item.description,
+        item_number: item.itemNumber,
+        color: item.color,
+        category: item.category?.name,
+        price: item.price,
+        quantity: item.items,
+        taxed: item.taxed,
+        product_id: item.product?.id,
+        product_brand: item.product?.brand,
+        product_description: item.product?.description
+      }));
+      for (const size of item.sizes || []) {
+        statements.push(insert('line_item_sizes', { line_item_id: item.id, size: size.size, count: size.count }));
+      }
+      for (const mockup of item.mockups || []) {
+        statements.push(insert('mockups', {
+          id: mockup.id,
+          order_id: orderId,
+          line_item_id: item.id,
+          full_image_url: mockup.fullImageUrl,
+          thumbnail_url: mockup.thumbnailUrl,
+          mime_type: mockup.mimeType,
+          local_path: localPath(mockup.fullImageUrl)
+        }));
+      }
+    }
+
+    for (const imprint of group.imprints || []) {
+      statements.push(insert('imprints', {
+        id: imprint.id,
+        group_id: group.id,
+        order_id: orderId,
+        type_of_work: imprint.typeOfWork?.name,
+        details: imprint.details
+      }));
+      for (const mockup of imprint.mockups || []) {
+        statements.push(insert('mockups', {
+          id: mockup.id,
+          order_id: orderId,
+          imprint_id: imprint.id,
+          full_image_url: mockup.fullImageUrl,
+          thumbnail_url: mockup.thumbnailUrl,
+          mime_type: mockup.mimeType,
+          local_path: localPath(mockup.fullImageUrl)
+        }));
+      }
+    }
+  }
+
+  for (const file of order.productionFiles || []) {
+    statements.push(insert('production_files', {
+      id: file.id,
+      order_id: orderId,
+      name: file.name,
+      file_url: file.fileUrl,
+      mime_type: file.mimeType,
+      local_path: localPath(file.fileUrl)
+    }));
+  }
+
+  for (const fee of order.fees || []) {
+    statements.push(insert('fees', {
+      id: fee.id,
+      order_id: orderId,
+      description: fee.description,
+      amount: fee.amount,
+      quantity: fee.quantity,
+      unit_price: fee.unitPrice,
+      taxable: fee.taxable
+    }));
+  }
+
+  for (const expense of order.expenses || []) {
+    statements.push(insert('expenses', {
+      id: expense.id,
+      order_id: orderId,
+      name: expense.name,
+      amount: expense.amount,
+      transaction_at: expense.transactionAt
+    }));
+  }
+
+  for (const task of order.tasks || []) {
+    statements.push(insert('tasks', {
+      id: task.id,
+      order_id: orderId,
+      name: task.name,
+      due_at: task.dueAt,
+      completed: task.completed,
+      completed_at: task.completedAt
+    }));
+  }
+
+  for (const transaction of order.transactions || []) {
+    statements.push(insert('transactions', {
+      id: transaction.id,
+      order_id: orderId,
+      kind: transaction.__typename,
+      amount: transaction.amount,
+      transaction_date: transaction.transactionDate,
+      category: transaction.category,
+      source: transaction.source,
+      description: transaction.description
+    }));
+  }
+
+  return statements;
+}
+
+// =============================================================================
+// MAIN EXPORT LOGIC
+// =============================================================================
+
+async function exportDatabase() {
+  log('╔════════════════════════════════════════════════════════════╗');
+  log('║            PRINTAVO SQLITE EXPORT                          ║');
+  log('╚════════════════════════════════════════════════════════════╝');
+
+  log(`\nLoading backup from ${DATA_DIR}...`);
+  const data = loadBackup({
+    dataDir: DATA_DIR,
+    onError: (name, err) => logError(`Failed to load ${name}: ${err.message}`)
+  });
+  const urlMapping = loadUrlMapping(DATA_DIR);
+
+  if (data.orders.length === 0) {
+    logError(`No orders found in ${DATA_DIR} - run extract-all-data.js first`);
+    process.exit(1);
+  }
+  log(`Found ${data.invoices.length} invoices, ${data.quotes.length} quotes, ${urlMapping.size} downloaded files`);
+  if (urlMapping.size === 0) {
+    log('No url-mapping.csv yet - local_path will be empty (run download-files.js first to fill it in)');
+  }
+
+  // Build into a temp file so a failed export never leaves a half-written database
+  const tempFile = `${DB_FILE}.tmp`;
+  fs.mkdirSync(path.dirname(DB_FILE), { recursive: true });
+  fs.rmSync(tempFile, { force: true });
+
+  const db = openDatabase(tempFile);
+  await db.exec('PRAGMA foreign_keys = ON;');
+  await db.exec('PRAGMA journal_mode = OFF;');
+  await db.exec('BEGIN;');
+  await db.exec(SCHEMA);
+
+  const { customers, contacts } = collectPeople(data);
+  for (const customer of customers.values()) {
+    await db.exec(insert('customers', customerRow(customer)));
+    if (customer.billingAddress) {
+      await db.exec(insert('addresses', addressRow(customer.billingAddress, 'billing', { customer_id: customer.id })));
+    }
+    for (const address of customer.shippingAddresses || []) {
+      await db.exec(insert('addresses', addressRow(address, 'shipping', { customer_id: customer.id })));
+    }
+  }
+  for (const contact of contacts.values()) {
+    await db.exec(insert('contacts', contactRow(contact)));
+  }
+  log(`Exported ${customers.size} customers, ${contacts.size} contacts`);
+
+  // Invoices first: a quote converted to an invoice keeps its ID, and the
+  // invoice is the later state of that order
+  const exportedIds = new Set();
+  let exported = 0;
+  let converted = 0;
+  for (const [type, orders] of [['invoice', data.invoices], ['quote', data.quotes]]) {
+    for (const order of orders) {
+      if (exportedIds.has(order.id)) {
+        converted++;
+        continue;
+      }
+      exportedIds.add(order.id);
+      
+      await db.exec(orderStatements(order, type, urlMapping).join('\n'));
+      exported++;
+      if (exported % 500 === 0) {
+        log(`Exported ${exported}/${data.orders.length} orders...`);
+      }
+    }
+  }
+
+  await db.exec('COMMIT;');
+  for (const columns of INDEXES) {
+    await db.exec(`CREATE INDEX idx_${columns.replace(/\W+/g, '_').replace(/_$/, '')} ON ${columns};`);
+  }
+  await db.close();
+
+  fs.renameSync(tempFile, DB_FILE);
+  const sizeMB = (fs.statSync(DB_FILE).size / 1024 / 1024).toFixed(1);
+
+  log('\n╔════════════════════════════════════════════════════════════╗');
+  log('║                  EXPORT COMPLETE                            ║');
+  log('╠════════════════════════════════════════════════════════════╣');
+  log(`║  Orders: ${exported}`.padEnd(61) + '║');
+  if (converted > 0) {
+    log(`║  Quotes skipped (same order as an invoice): ${converted}`.padEnd(61) + '║');
+  }
+  log(`║  Customers: ${customers.size}`.padEnd(61) + '║');
+  log(`║  Contacts: ${contacts.size}`.padEnd(61) + '║');
+  log(`║  Database Size: ${sizeMB} MB`.padEnd(61) + '║');
+  log('╚════════════════════════════════════════════════════════════╝');
+  log(`\nDatabase: ${DB_FILE}`);
+  log(`Try: sqlite3 "${DB_FILE}" "SELECT visual_id, total FROM orders ORDER BY total DESC LIMIT 10"`);
+}
+
+// =============================================================================
+// ENTRY POINT
+// =============================================================================
+
+exportDatabase().catch(err => {
+  logError(`Fatal error: ${err.message}`);
+  process.exit(1);
+});
@@ -8,19 +8,29 @@
  * - Imprints with mockups
  * - Production files
  * - Fees, expenses, payments, tasks
+ * - Account configuration (statuses, users, types of work, terms...)
+ * - Customer and contact directories
+ * - Product catalog
+ * - Customer message threads
+ * - Inquiries, payment requests, merch stores and merch orders
  * 
  * Features:
  * - Resume capability (saves progress)
- * - Rate limiting (respects API limits)
- * - Split queries (avoids complexity limit)
+ * - Incremental mode (re-extracts orders whose timestamps.updatedAt changed)
+ * - Rate limiting (shared 10 req / 5 sec limiter, honors Retry-After)
+ * - Split queries (avoids complexity limit), split further automatically
+ *   when an order still exceeds it
+ * - Queries loaded and validated from queries/*.graphql
  * - Error logging
  * 
  * Usage:
- *   node scripts/extract-all-data.js
+ *   node scripts/extract-all-data.js                # full extraction (resumable)
+ *   node scripts/extract-all-data.js --incremental  # re-extract orders updated since last run
  */
 
 const fs = require('fs');
 const path = require('path');
+const { loadOrderQueries, loadEntityQueries, loadConfigQuery } = require('./lib/graphql-queries');
 
 // =============================================================================
 // CONFIGURATION
@@ -43,10 +53,14 @@ if (!CONFIG.PRINTAVO_EMAIL || !CONFIG.PRINTAVO_TOKEN ||
 
 // Set defaults
 CONFIG.PRINTAVO_API = CONFIG.PRINTAVO_API || 'https://www.printavo.com/api/v2';
-CONFIG.RATE_LIMIT_DELAY = CONFIG.RATE_LIMIT_DELAY || 650;
+CONFIG.RATE_LIMIT_REQUESTS = CONFIG.RATE_LIMIT_REQUESTS || 10;
+CONFIG.RATE_LIMIT_WINDOW = CONFIG.RATE_LIMIT_WINDOW || 5000;
+CONFIG.MAX_RATE_LIMIT_RETRIES = CONFIG.MAX_RATE_LIMIT_RETRIES || 10;
 CONFIG.RETRY_DELAY = CONFIG.RETRY_DELAY || 5000;
 CONFIG.MAX_RETRIES = CONFIG.MAX_RETRIES || 3;
+CONFIG.REQUEST_TIMEOUT = CONFIG.REQUEST_TIMEOUT || 60000;
 CONFIG.DATA_DIR = CONFIG.DATA_DIR || './data';
+CONFIG.INCREMENTAL = process.argv.includes('--incremental') || CONFIG.INCREMENTAL === true;
 
 // Resolve paths
 const DATA_DIR = path.resolve(__dirname, '..', CONFIG.DATA_DIR);
@@ -67,111 +81,189 @@ const SUMMARY_FILE = path.join(DATA_DIR, 'summary.json');
 // SPLIT QUERIES (to avoid 25k complexity limit)
 // =============================================================================
 
-const LIST_INVOICES_QUERY = `
-query ListInvoices($cursor: String) {
-  invoices(first: 25, after: $cursor, sortOn: VISUAL_ID, sortDescending: true) {
-    nodes { id visualId }
-    pageInfo { hasNextPage endCursor }
-    totalNodes
-  }
-}`;
+// Queries come from queries/*.graphql (see scripts/lib/graphql-queries.js).
+// Add a field there and it's extracted; a malformed file stops the run here.
+let QUERIES;
+let ENTITY_QUERIES;
+let CONFIG_QUERY;
+try {
+  const queriesDir = CONFIG.QUERIES_DIR && path.resolve(__dirname, '..', CONFIG.QUERIES_DIR);
+  QUERIES = loadOrderQueries(queriesDir);
+  ENTITY_QUERIES = loadEntityQueries(queriesDir);
+  CONFIG_QUERY = loadConfigQuery(queriesDir);
+} catch (e) {
+  console.error(`ERROR: Invalid query file - ${e.message}`);
+  process.exit(1);
+}
 
-const LIST_QUOTES_QUERY = `
-query ListQuotes($cursor: String) {
-  quotes(first: 25, after: $cursor, sortOn: VISUAL_ID, sortDescending: true) {
-    nodes { id visualId }
-    pageInfo { hasNextPage endCursor }
-    totalNodes
-  }
-}`;
+const LIST_INVOICES_QUERY = QUERIES.listInvoices;
+const LIST_QUOTES_QUERY = QUERIES.listQuotes;
 
 // Query 1: Header (low complexity)
-const GET_ORDER_HEADER = (type) => `
-query GetHeader($id: ID!) {
+const GET_ORDER_HEADER = QUERIES.header;
+
+// Page sizes for every nested connection, from the `first:` arguments in the
+// query files. Anything past the first page is followed by cursor (see
+// fetchOrderData), so these only trade request count against per-query
+// complexity - they never cap how much data is saved.
+const PAGE_SIZES = {
+  lineItemGroups: QUERIES.lineItemGroups.first,
+  imprints: QUERIES.imprints.first,
+  lineItems: QUERIES.lineItems.first,
+  imprintMockups: QUERIES.imprintMockups.first,
+  lineItemMockups: QUERIES.lineItemMockups.first
+};
+
+const PAGE_INFO = 'pageInfo { hasNextPage endCursor }';
+
+// Node selections (nested connections included) from get-order-line-items.graphql
+const LINE_ITEM_GROUP_FIELDS = QUERIES.lineItemGroups.selection;
+const IMPRINT_FIELDS = QUERIES.imprints.selection;
+const LINE_ITEM_FIELDS = QUERIES.lineItems.selection;
+const IMPRINT_MOCKUP_FIELDS = QUERIES.imprintMockups.selection;
+const LINE_ITEM_MOCKUP_FIELDS = QUERIES.lineItemMockups.selection;
+
+// Order-level connections fetched by query 3 (get-order-financials.graphql), keyed by field name
+const FILES_FINANCIAL_FIELDS = {};
+for (const [field, connection] of Object.entries(QUERIES.filesFinancial)) {
+  FILES_FINANCIAL_FIELDS[field] = connection.selection;
+  PAGE_SIZES[field] = connection.first;
+}
+
+// Query 2: Line item groups are fetched as the first page of the
+// lineItemGroups connection (GET_ORDER_CONNECTION_PAGE with no cursor), using
+// whichever LINE_ITEM_STRATEGIES step currently fits the complexity limit.
+
+// Query 3: Files + Financial (low complexity)
+const GET_ORDER_FILES_FINANCIAL = (type, strategy) => `
+query GetFilesFinancial($id: ID!) {
   ${type}(id: $id) {
-    id visualId nickname
-    total subtotal totalUntaxed
-    discount discountAsPercentage discountAmount
-    salesTax salesTaxAmount
-    amountPaid amountOutstanding paidInFull totalQuantity
-    productionNote customerNote
-    createdAt customerDueAt paymentDueAt invoiceAt dueAt startAt
-    publicUrl publicPdf publicHash workorderUrl packingSlipUrl url
-    visualPoNumber tags
-    timestamps { createdAt updatedAt }
-    status { id name color position type }
-    contact {
-      id fullName firstName lastName email phone fax
-      customer { id companyName }
-    }
-    owner { id email name }
-    billingAddress { address1 address2 city state stateIso zipCode country countryIso companyName customerName }
-    shippingAddress { address1 address2 city state stateIso zipCode country countryIso companyName customerName }
-    deliveryMethod { id name }
-    paymentTerm { id name }
+    id
+    ${Object.entries(FILES_FINANCIAL_FIELDS).map(([field, selection]) =>
+      `${field}(first: ${pageSize(field, strategy)}) { nodes { ${selection} } ${PAGE_INFO} }`
+    ).join('\n    ')}
   }
 }`;
 
-// Query 2: Line Items + Imprints (medium complexity, but paginated)
-const GET_ORDER_LINE_ITEMS = (type) => `
-query GetLineItems($id: ID!) {
+// Page of an order-level connection (lineItemGroups, productionFiles, fees...)
+const GET_ORDER_CONNECTION_PAGE = (type, field, selection, first) => `
+query GetOrderConnectionPage($id: ID!, $cursor: String) {
   ${type}(id: $id) {
     id
-    lineItemGroups(first: 10) {
-      nodes {
-        id position
-        imprints(first: 10) {
-          nodes {
-            id details
-            typeOfWork { id name }
-            mockups(first: 5) {
-              nodes { id fullImageUrl thumbnailUrl mimeType }
-            }
-          }
-        }
-        lineItems(first: 15) {
-          nodes {
-            id description color itemNumber
-            category { id name }
-            position price items taxed markupPercentage productStatus
-            product { id description itemNumber brand color }
-            sizes { size count }
-            mockups(first: 5) {
-              nodes { id fullImageUrl thumbnailUrl mimeType }
-            }
-          }
-        }
-      }
-    }
+    ${field}(first: ${first}, after: $cursor) { nodes { ${selection} } ${PAGE_INFO} }
   }
 }`;
 
-// Query 3: Files + Financial (low complexity)
-const GET_ORDER_FILES_FINANCIAL = (type) => `
-query GetFilesFinancial($id: ID!) {
-  ${type}(id: $id) {
+// Page of a connection on a nested node
+// (lineItemGroup.imprints, lineItemGroup.lineItems, imprint.mockups, lineItem.mockups,
+// thread.messages)
+const GET_NODE_CONNECTION_PAGE = (nodeType, field, selection, first) => `
+query GetNodeConnectionPage($id: ID!, $cursor: String) {
+  ${nodeType}(id: $id) {
     id
-    productionFiles(first: 50) {
-      nodes { id fileUrl name mimeType }
-    }
-    fees(first: 30) {
-      nodes { id description amount quantity unitPrice unitPriceAsPercentage taxable }
-    }
-    expenses(first: 30) {
-      nodes { id name amount transactionAt userGenerated }
-    }
-    tasks(first: 30) {
-      nodes { id name dueAt completed completedAt }
-    }
-    transactions(first: 30) {
-      nodes {
-        ... on Payment { id amount transactionDate category processing source description }
-        ... on Refund { id amount transactionDate category }
-      }
-    }
+    ${field}(first: ${first}, after: $cursor) { nodes { ${selection} } ${PAGE_INFO} }
   }
 }`;
 
+// Account-wide records extracted after the orders. Each record is saved as
+// data/<file name>/<id>.json while paging, so an interrupted phase resumes
+// from its saved cursor, then all of them are combined into `file` - the
+// flat array audit-data.js reads.
+const ENTITY_PHASES = {
+  customers: { title: 'CUSTOMERS', file: 'customers.json' },
+  contacts: { title: 'CONTACTS', file: 'contacts.json' },
+  products: { title: 'PRODUCTS', file: 'products.json' },
+  threads: { title: 'MESSAGE THREADS', file: 'threads.json' },
+  inquiries: { title: 'INQUIRIES', file: 'inquiries.json' },
+  paymentRequests: { title: 'PAYMENT REQUESTS', file: 'payment_requests.json' },
+  merchStores: { title: 'MERCH STORES', file: 'merch_stores.json' },
+  merchOrders: { title: 'MERCH ORDERS', file: 'merch_orders.json' }
+};
+
+// =============================================================================
+// SPLIT STRATEGIES (fallbacks for the 25k complexity limit)
+// =============================================================================
+
+// When a query comes back with "Query has complexity of N, which exceeds max
+// complexity of 25000", fetchOrderData retries that part of the order with
+// the next strategy. Each step asks for less per query: mockups move to their
+// own queries, then each group's imprints and line items, then pages shrink.
+const LINE_ITEM_STRATEGIES = [
+  { name: 'combined', separateMockups: false, separateGroups: false, pageScale: 1 },
+  { name: 'mockups-separate', separateMockups: true, separateGroups: false, pageScale: 1 },
+  { name: 'per-group', separateMockups: true, separateGroups: true, pageScale: 1 },
+  { name: 'per-group-half-pages', separateMockups: true, separateGroups: true, pageScale: 0.5 },
+  { name: 'per-group-quarter-pages', separateMockups: true, separateGroups: true, pageScale: 0.25 },
+  { name: 'per-group-single-node-pages', separateMockups: true, separateGroups: true, pageScale: 0 }
+];
+
+const FILES_FINANCIAL_STRATEGIES = [
+  { name: 'combined', separateConnections: false, pageScale: 1 },
+  { name: 'per-connection', separateConnections: true, pageScale: 1 },
+  { name: 'per-connection-half-pages', separateConnections: true, pageScale: 0.5 },
+  { name: 'per-connection-quarter-pages', separateConnections: true, pageScale: 0.25 },
+  { name: 'per-connection-single-node-pages', separateConnections: true, pageScale: 0 }
+];
+
+function scalePageSize(size, strategy) {
+  return Math.max(1, Math.floor(size * strategy.pageScale));
+}
+
+function pageSize(field, strategy) {
+  return scalePageSize(PAGE_SIZES[field], strategy);
+}
+
+/**
+ * Remove every `field(...) { ... }` connection from a selection set.
+ * A connection left out this way comes back undefined, which tells
+ * collectAllPages to fetch it with its own queries.
+ */
+function stripConnection(selection, field) {
+  const pattern = new RegExp(`\\b${field}\\s*(\\([^)]*\\))?\\s*\\{`);
+  let result = selection;
+  let match;
+  
+  while ((match = pattern.exec(result))) {
+    let depth = 1;
+    let end = match.index + match[0].length;
+    while (depth > 0 && end < result.length) {
+      if (result[end] === '{') depth++;
+      if (result[end] === '}') depth--;
+      end++;
+    }
+    result = result.slice(0, match.index) + result.slice(end);
+  }
+  
+  return result;
+}
+
+function scalePageSizes(selection, strategy) {
+  return selection.replace(/first:\s*(\d+)/g, (_, size) => `first: ${scalePageSize(Number(size), strategy)}`);
+}
+
+function lineItemSelections(strategy) {
+  let imprint = IMPRINT_FIELDS;
+  let lineItem = LINE_ITEM_FIELDS;
+  let group = LINE_ITEM_GROUP_FIELDS;
+  
+  if (strategy.separateMockups) {
+    imprint = stripConnection(imprint, 'mockups');
+    lineItem = stripConnection(lineItem, 'mockups');
+    group = stripConnection(group, 'mockups');
+  }
+  if (strategy.separateGroups) {
+    group = stripConnection(stripConnection(group, 'imprints'), 'lineItems');
+  }
+  
+  return {
+    group: scalePageSizes(group, strategy),
+    imprint: scalePageSizes(imprint, strategy),
+    lineItem: scalePageSizes(lineItem, strategy),
+    imprintMockup: IMPRINT_MOCKUP_FIELDS,
+    lineItemMockup: LINE_ITEM_MOCKUP_FIELDS
+  };
+}
+
 // =============================================================================
 // UTILITY FUNCTIONS
 // =============================================================================
@@ -200,12 +292,15 @@ function loadProgress() {
   }
   return {
     phase: 'invoices',
+    completedPhases: [],
     lastProcessedVisualId: null,
     invoicesProcessed: 0,
     quotesProcessed: 0,
     totalProductionFiles: 0,
     totalLineItemMockups: 0,
     totalImprintMockups: 0,
+    splitOrders: 0,
+    entities: {},
     errors: 0,
     startedAt: new Date().toISOString(),
     lastUpdated: new Date().toISOString()
@@ -237,6 +332,15 @@ function orderExists(type, visualId) {
   return fs.existsSync(path.join(dir, `${visualId}.json`));
 }
 
+function loadOrder(type, visualId) {
+  const dir = type === 'invoice' ? INVOICES_DIR : QUOTES_DIR;
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, `${visualId}.json`), 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
 function saveOrder(type, visualId, data) {
   const dir = type === 'invoice' ? INVOICES_DIR : QUOTES_DIR;
   fs.writeFileSync(path.join(dir, `${visualId}.json`), JSON.stringify(data, null, 2));
@@ -273,12 +377,138 @@ function countFiles(data) {
   return { productionFiles, lineItemMockups, imprintMockups };
 }
 
+// =============================================================================
+// RATE LIMITER
+// =============================================================================
+
+// Every graphqlRequest takes a token before it hits the API. A token returns
+// to the bucket RATE_LIMIT_WINDOW ms after it was spent, so no window of that
+// length ever sees more than RATE_LIMIT_REQUESTS requests - exactly Printavo's
+// 10 requests / 5 seconds, regardless of how callers interleave.
+const limiter = {
+  spent: [],          // timestamps of tokens spent within the current window
+  pausedUntil: 0,     // set from Retry-After / rate-limit responses
+  spacing: 0,         // adaptive extra gap between requests after being throttled
+  lastSentAt: 0,
+  queue: Promise.resolve(),
+  requests: 0,
+  throttled: 0,
+  waitedMs: 0,
+  startedAt: Date.now()
+};
+
+const RATE_LIMIT_MESSAGE = /rate.?limit|too many requests|throttl/i;
+const COMPLEXITY_MESSAGE = /complexity of (\d+).*exceeds max complexity of (\d+)/i;
+
+function acquireRateLimitToken() {
+  // Serialize acquisition so concurrent callers can't spend the same token
+  const acquired = limiter.queue.then(async () => {
+    const waitStart = Date.now();
+    
+    while (true) {
+      const now = Date.now();
+      limiter.spent = limiter.spent.filter(t => now - t < CONFIG.RATE_LIMIT_WINDOW);
+      
+      const waits = [
+        limiter.pausedUntil - now,
+        limiter.lastSentAt + limiter.spacing - now
+      ];
+      if (limiter.spent.length >= CONFIG.RATE_LIMIT_REQUESTS) {
+        waits.push(limiter.spent[0] + CONFIG.RATE_LIMIT_WINDOW - now);
+      }
+      
+      const wait = Math.max(...waits);
+      if (wait <= 0) break;
+      await delay(wait);
+    }
+    
+    limiter.lastSentAt = Date.now();
+    limiter.spent.push(limiter.lastSentAt);
+    limiter.requests++;
+    limiter.waitedMs += limiter.lastSentAt - waitStart;
+  });
+  
+  limiter.queue = acquired.catch(() => {});
+  return acquired;
+}
+
+/**
+ * Pause all requests after a rate-limit response and widen the gap between
+ * requests. Returns the pause applied (ms).
+ */
+function applyRateLimitBackoff(retryAfterMs) {
+  limiter.throttled++;
+  limiter.spacing = Math.min(Math.max(limiter.spacing * 2, 250), CONFIG.RATE_LIMIT_WINDOW);
+  
+  const pause = retryAfterMs != null ? retryAfterMs : CONFIG.RATE_LIMIT_WINDOW;
+  limiter.pausedUntil = Math.max(limiter.pausedUntil, Date.now() + pause);
+  return pause;
+}
+
+// Ease the adaptive gap back off after each request that wasn't throttled
+function recordRateLimitSuccess() {
+  limiter.spacing = limiter.spacing > 20 ? Math.floor(limiter.spacing * 0.9) : 0;
+}
+
+/**
+ * Retry-After is either delta-seconds or an HTTP date. Returns ms or null.
+ */
+function parseRetryAfter(header) {
+  if (!header) return null;
+  
+  const seconds = Number(header);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  
+  const date = Date.parse(header);
+  if (!isNaN(date)) return Math.max(0, date - Date.now());
+  
+  return null;
+}
+
+function rateLimitStats() {
+  const elapsedSeconds = (Date.now() - limiter.startedAt) / 1000;
+  return {
+    apiRequests: limiter.requests,
+    requestsPerSecond: Number((limiter.requests / Math.max(elapsedSeconds, 1)).toFixed(2)),
+    allowedPerSecond: Number((CONFIG.RATE_LIMIT_REQUESTS / (CONFIG.RATE_LIMIT_WINDOW / 1000)).toFixed(2)),
+    rateLimited: limiter.throttled,
+    throttleWaitSeconds: Number((limiter.waitedMs / 1000).toFixed(1))
+  };
+}
+
+function logThroughput() {
+  const stats = rateLimitStats();
+  log(`API throughput: ${stats.apiRequests} requests, ${stats.requestsPerSecond}/s ` +
+      `(limit ${stats.allowedPerSecond}/s), ${stats.rateLimited} rate-limited, ` +
+      `${stats.throttleWaitSeconds}s waiting for tokens`);
+}
+
 // =============================================================================
 // API FUNCTIONS
 // =============================================================================
 
+// Re-sending a too-complex query can never succeed, so callers split it instead
+function complexityError(message) {
+  const error = new Error(message);
+  error.complexityExceeded = true;
+  return error;
+}
+
+function rateLimitError(message, retryAfterMs) {
+  const error = new Error(message);
+  error.rateLimited = true;
+  error.retryAfter = retryAfterMs;
+  return error;
+}
+
 async function graphqlRequest(query, variables = {}, retries = CONFIG.MAX_RETRIES) {
-  for (let attempt = 1; attempt <= retries; attempt++) {
+  let attempt = 1;
+  let rateLimitHits = 0;
+  
+  while (true) {
+    await acquireRateLimitToken();
+    
+    let retryAfter = null;
     try {
       const response = await fetch(CONFIG.PRINTAVO_API, {
         method: 'POST',
@@ -287,8 +517,15 @@ async function graphqlRequest(query, variables = {}, retries = CONFIG.MAX_RETRIE
           'email': CONFIG.PRINTAVO_EMAIL,
           'token': CONFIG.PRINTAVO_TOKEN
         },
-        body: JSON.stringify({ query, variables })
+        body: JSON.stringify({ query, variables }),
+        signal: AbortSignal.timeout(CONFIG.REQUEST_TIMEOUT)
       });
+      
+      retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+      
+      if (response.status === 429) {
+        throw rateLimitError(`HTTP 429: ${response.statusText}`, retryAfter);
+      }
 
       if (!response.ok) {
         throw new Error(`HTTP ${response.status}: ${response.statusText}`);
@@ -297,17 +534,48 @@ async function graphqlRequest(query, variables = {}, retries = CONFIG.MAX_RETRIE
       const result = await response.json();
 
       if (result.errors && !result.data) {
-        throw new Error(`GraphQL: ${result.errors.map(e => e.message).join(', ')}`);
+        const message = result.errors.map(e => e.message).join(', ');
+        if (RATE_LIMIT_MESSAGE.test(message)) {
+          throw rateLimitError(`GraphQL: ${message}`, retryAfter);
+        }
+        if (COMPLEXITY_MESSAGE.test(message)) {
+          throw complexityError(`GraphQL: ${message}`);
+        }
+        throw new Error(`GraphQL: ${message}`);
+      }
+
+      // Partial responses: the data is kept, fields that failed are null
+      if (result.errors) {
+        logError(`GraphQL returned partial data: ${result.errors.map(e => e.message).join(', ')}`);
       }
 
+      recordRateLimitSuccess();
       return result.data;
     } catch (error) {
+      // Rate-limit responses pause the shared limiter and don't use up MAX_RETRIES
+      if (error.rateLimited && rateLimitHits < CONFIG.MAX_RATE_LIMIT_RETRIES) {
+        rateLimitHits++;
+        const pause = applyRateLimitBackoff(error.retryAfter);
+        log(`Rate limited (${rateLimitHits}/${CONFIG.MAX_RATE_LIMIT_RETRIES}), pausing all requests ${pause}ms...`);
+        continue;
+      }
+      
+      if (error.complexityExceeded) {
+        throw error;
+      }
+
+      // AbortSignal.timeout fired: Printavo accepted the request but never answered
+      if (error.name === 'TimeoutError') {
+        error = new Error(`No response within ${CONFIG.REQUEST_TIMEOUT}ms (REQUEST_TIMEOUT)`);
+      }
+      
       logError(`Request failed (attempt ${attempt}/${retries}): ${error.message}`);
       
       if (attempt < retries) {
-        const waitTime = CONFIG.RETRY_DELAY * attempt;
+        const waitTime = retryAfter != null ? retryAfter : CONFIG.RETRY_DELAY * attempt;
         log(`Waiting ${waitTime}ms before retry...`);
         await delay(waitTime);
+        attempt++;
       } else {
         throw error;
       }
@@ -315,6 +583,12 @@ async function graphqlRequest(query, variables = {}, retries = CONFIG.MAX_RETRIE
   }
 }
 
+/**
+ * Every order of a type with its updatedAt. Printavo's order lists can't be
+ * sorted or filtered by update time, so even an incremental run pages
+ * through all of them - one request per 25 orders, against the several it
+ * takes to fetch a single order.
+ */
 async function fetchAllOrderIds(type) {
   log(`Fetching all ${type} IDs...`);
   
@@ -331,7 +605,11 @@ async function fetchAllOrderIds(type) {
     const orders = data[dataKey];
     
     for (const order of orders.nodes) {
-      orderIds.push({ id: order.id, visualId: order.visualId });
+      orderIds.push({
+        id: order.id,
+        visualId: order.visualId,
+        updatedAt: order.timestamps?.updatedAt || null
+      });
     }
     
     hasMore = orders.pageInfo.hasNextPage;
@@ -341,39 +619,153 @@ async function fetchAllOrderIds(type) {
     if (page % 10 === 0) {
       log(`  Fetched ${orderIds.length} ${type} IDs (page ${page})...`);
     }
-    
-    await delay(CONFIG.RATE_LIMIT_DELAY);
   }
   
   log(`Found ${orderIds.length} total ${type}s`);
   return orderIds;
 }
 
+/**
+ * Follow a connection's cursor until hasNextPage is false.
+ * fetchPage(cursor) must resolve to the next { nodes, pageInfo } page.
+ * A connection that is undefined was left out of its parent query by a split
+ * strategy, so its first page is fetched here too.
+ * Returns { nodes } (pageInfo dropped) to match the saved order layout.
+ */
+async function collectAllPages(connection, fetchPage) {
+  if (connection === undefined) {
+    connection = await fetchPage(null);
+  }
+  if (!connection) return connection;
+  
+  const nodes = [...(connection.nodes || [])];
+  let pageInfo = connection.pageInfo;
+  
+  while (pageInfo && pageInfo.hasNextPage) {
+    const page = await fetchPage(pageInfo.endCursor);
+    nodes.push(...page.nodes);
+    pageInfo = page.pageInfo;
+  }
+  
+  return { nodes };
+}
+
+// An order deleted in Printavo after it was listed comes back as null
+function orderDisappeared(type, printavoId, field) {
+  return new Error(`${type} ${printavoId} disappeared while paging ${field}`);
+}
+
+async function fetchOrderConnectionPage(type, printavoId, field, selection, first, cursor) {
+  const data = await graphqlRequest(GET_ORDER_CONNECTION_PAGE(type, field, selection, first), { id: printavoId, cursor });
+  if (!data[type]) {
+    throw orderDisappeared(type, printavoId, field);
+  }
+  return data[type][field];
+}
+
+async function fetchNodeConnectionPage(nodeType, id, field, selection, first, cursor) {
+  const data = await graphqlRequest(GET_NODE_CONNECTION_PAGE(nodeType, field, selection, first), { id, cursor });
+  if (!data[nodeType]) {
+    throw new Error(`${nodeType} ${id} disappeared while paging ${field}`);
+  }
+  return data[nodeType][field];
+}
+
+/**
+ * Try each strategy in turn, moving on only when the API rejects a query as
+ * too complex. Resolves to { strategy, data } for the first one that works.
+ */
+async function fetchWithSplitting(label, strategies, fetchWith) {
+  for (let i = 0; i < strategies.length; i++) {
+    try {
+      return { strategy: strategies[i].name, data: await fetchWith(strategies[i]) };
+    } catch (error) {
+      if (!error.complexityExceeded || i === strategies.length - 1) throw error;
+      log(`  ${label}: ${error.message} - retrying as ${strategies[i + 1].name}`);
+    }
+  }
+}
+
+/**
+ * Page through lineItemGroups, then every group's imprints and lineItems,
+ * then every imprint's and line item's mockups.
+ */
+async function fetchLineItemGroups(type, printavoId, strategy) {
+  const selections = lineItemSelections(strategy);
+  
+  const groups = await collectAllPages(undefined, cursor =>
+    fetchOrderConnectionPage(type, printavoId, 'lineItemGroups', selections.group,
+      pageSize('lineItemGroups', strategy), cursor)
+  );
+  
+  for (const group of groups?.nodes || []) {
+    group.imprints = await collectAllPages(group.imprints, cursor =>
+      fetchNodeConnectionPage('lineItemGroup', group.id, 'imprints', selections.imprint,
+        pageSize('imprints', strategy), cursor)
+    );
+    group.lineItems = await collectAllPages(group.lineItems, cursor =>
+      fetchNodeConnectionPage('lineItemGroup', group.id, 'lineItems', selections.lineItem,
+        pageSize('lineItems', strategy), cursor)
+    );
+    
+    for (const imprint of group.imprints?.nodes || []) {
+      imprint.mockups = await collectAllPages(imprint.mockups, cursor =>
+        fetchNodeConnectionPage('imprint', imprint.id, 'mockups', selections.imprintMockup,
+          pageSize('imprintMockups', strategy), cursor)
+      );
+    }
+    for (const item of group.lineItems?.nodes || []) {
+      item.mockups = await collectAllPages(item.mockups, cursor =>
+        fetchNodeConnectionPage('lineItem', item.id, 'mockups', selections.lineItemMockup,
+          pageSize('lineItemMockups', strategy), cursor)
+      );
+    }
+  }
+  
+  return groups;
+}
+
+async function fetchFilesFinancial(type, printavoId, strategy) {
+  let firstPages = {};
+  if (!strategy.separateConnections) {
+    const data = await graphqlRequest(GET_ORDER_FILES_FINANCIAL(type, strategy), { id: printavoId });
+    if (!data[type]) {
+      throw orderDisappeared(type, printavoId, 'files/financial');
+    }
+    firstPages = data[type];
+  }
+  
+  const result = {};
+  for (const [field, selection] of Object.entries(FILES_FINANCIAL_FIELDS)) {
+    result[field] = await collectAllPages(firstPages[field], cursor =>
+      fetchOrderConnectionPage(type, printavoId, field, selection, pageSize(field, strategy), cursor)
+    );
+  }
+  return result;
+}
+
 async function fetchOrderData(type, printavoId) {
-  // Split into 3 queries to avoid complexity limit
-  const [headerData, lineItemsData, filesData] = await Promise.all([
+  // Split into 3 parts to avoid complexity limit (the limiter paces them).
+  // Line items and files fall back to smaller queries if they are still too complex.
+  const [headerData, lineItems, files] = await Promise.all([
     graphqlRequest(GET_ORDER_HEADER(type), { id: printavoId }),
-    delay(CONFIG.RATE_LIMIT_DELAY).then(() => 
-      graphqlRequest(GET_ORDER_LINE_ITEMS(type), { id: printavoId })
+    fetchWithSplitting('line items', LINE_ITEM_STRATEGIES, strategy =>
+      fetchLineItemGroups(type, printavoId, strategy)
     ),
-    delay(CONFIG.RATE_LIMIT_DELAY * 2).then(() => 
-      graphqlRequest(GET_ORDER_FILES_FINANCIAL(type), { id: printavoId })
+    fetchWithSplitting('files/financial', FILES_FINANCIAL_STRATEGIES, strategy =>
+      fetchFilesFinancial(type, printavoId, strategy)
     )
   ]);
   
   // Merge all data
-  const header = headerData[type];
-  const lineItems = lineItemsData[type];
-  const files = filesData[type];
-  
   return {
-    ...header,
-    lineItemGroups: lineItems.lineItemGroups,
-    productionFiles: files.productionFiles,
-    fees: files.fees,
-    expenses: files.expenses,
-    tasks: files.tasks,
-    transactions: files.transactions
+    ...headerData[type],
+    lineItemGroups: lineItems.data,
+    ...files.data,
+    splitStrategy: {
+      lineItems: lineItems.strategy,
+      filesFinancial: files.strategy
+    }
   };
 }
 
@@ -381,10 +773,54 @@ async function fetchOrderData(type, printavoId) {
 // MAIN EXTRACTION LOGIC
 // =============================================================================
 
-async function extractOrders(type, orderIds, progress) {
+// Printavo's updatedAt comes from its clock, the high-water mark from ours:
+// the mark is set this far before the listing started to allow for drift
+const HIGH_WATER_MARK_MARGIN = 5 * 60 * 1000;
+
+function isNewer(a, b) {
+  return Date.parse(a) > Date.parse(b);
+}
+
+/**
+ * In incremental mode, decide whether an already-extracted order changed
+ * since it was saved. Orders at or below the phase's high-water mark were
+ * seen by the last clean run, so their saved file isn't even opened.
+ * Returns the saved order when it needs re-extracting, otherwise null.
+ */
+function staleSavedOrder(type, order, progress) {
+  if (!CONFIG.INCREMENTAL || !order.updatedAt) return null;
+  
+  const highWaterMark = progress.incremental?.[type]?.highWaterMark;
+  if (highWaterMark && !isNewer(order.updatedAt, highWaterMark)) return null;
+  
+  const saved = loadOrder(type, order.visualId);
+  const savedUpdatedAt = saved?.timestamps?.updatedAt;
+  if (saved && savedUpdatedAt && !isNewer(order.updatedAt, savedUpdatedAt)) return null;
+  
+  return saved || {};
+}
+
+// Parts of an order fetched with a split strategy, from its splitStrategy
+function splitParts(splitStrategy) {
+  return Object.values(splitStrategy || {}).filter(name => name !== 'combined');
+}
+
+/**
+ * List every order of a type, then extract the ones not saved yet (or, in
+ * incremental mode, changed since they were saved)
+ */
+async function extractOrderPhase(type, progress) {
+  const listedAt = Date.now();
+  const orderIds = await fetchAllOrderIds(type);
+  return extractOrders(type, orderIds, progress, listedAt);
+}
+
+async function extractOrders(type, orderIds, progress, listedAt) {
   const total = orderIds.length;
   let processed = 0;
+  let refreshed = 0;
   let skipped = 0;
+  let failed = 0;
   
   log(`\n${'='.repeat(60)}`);
   log(`EXTRACTING ${type.toUpperCase()}S (${total} total)`);
@@ -393,8 +829,10 @@ async function extractOrders(type, orderIds, progress) {
   for (const order of orderIds) {
     const { id: printavoId, visualId } = order;
     
-    // Skip if already extracted
-    if (orderExists(type, visualId)) {
+    // Skip if already extracted (and, in incremental mode, unchanged)
+    const exists = orderExists(type, visualId);
+    const stale = exists ? staleSavedOrder(type, order, progress) : null;
+    if (exists && !stale) {
       skipped++;
       if (skipped % 100 === 0) {
         log(`Skipped ${skipped} existing ${type}s...`);
@@ -423,20 +861,43 @@ async function extractOrders(type, orderIds, progress) {
       
       processed++;
       progress.lastProcessedVisualId = visualId;
-      progress[`${type}sProcessed`] = (progress[`${type}sProcessed`] || 0) + 1;
+      
+      if (stale) {
+        // Replace the old version's file counts rather than adding to them
+        const oldCounts = countFiles(stale);
+        progress.totalProductionFiles -= oldCounts.productionFiles;
+        progress.totalLineItemMockups -= oldCounts.lineItemMockups;
+        progress.totalImprintMockups -= oldCounts.imprintMockups;
+        progress[`${type}sRefreshed`] = (progress[`${type}sRefreshed`] || 0) + 1;
+        refreshed++;
+      } else {
+        progress[`${type}sProcessed`] = (progress[`${type}sProcessed`] || 0) + 1;
+      }
       progress.totalProductionFiles += fileCounts.productionFiles;
       progress.totalLineItemMockups += fileCounts.lineItemMockups;
       progress.totalImprintMockups += fileCounts.imprintMockups;
       
+      // A refreshed order was already counted if its saved copy was split
+      const splits = splitParts(orderData.splitStrategy);
+      const wasSplit = splitParts(stale?.splitStrategy).length > 0;
+      if (splits.length > 0 && !wasSplit) {
+        progress.splitOrders = (progress.splitOrders || 0) + 1;
+      } else if (splits.length === 0 && wasSplit) {
+        progress.splitOrders--;
+      }
+      
       const totalFiles = fileCounts.productionFiles + fileCounts.lineItemMockups + fileCounts.imprintMockups;
-      log(`✓ ${type} #${visualId} - ${totalFiles} files (${processed}/${total - skipped} new, ${skipped} skipped)`);
+      const splitNote = splits.length > 0 ? ` [split: ${splits.join(', ')}]` : '';
+      const refreshNote = stale ? ' [updated since last extraction]' : '';
+      log(`✓ ${type} #${visualId} - ${totalFiles} files (${processed}/${total - skipped} new, ${skipped} skipped)${splitNote}${refreshNote}`);
       
       if (processed % 10 === 0) {
         saveProgress(progress);
       }
       
-      // Extra delay since we're making 3 requests per order
-      await delay(CONFIG.RATE_LIMIT_DELAY);
+      if (processed % 100 === 0) {
+        logThroughput();
+      }
       
     } catch (error) {
       logError(`Failed to extract ${type} #${visualId}: ${error.message}`);
@@ -449,17 +910,187 @@ async function extractOrders(type, orderIds, progress) {
         retries: CONFIG.MAX_RETRIES
       });
       
+      failed++;
       progress.errors++;
       saveProgress(progress);
-      
-      await delay(CONFIG.RATE_LIMIT_DELAY);
     }
   }
   
-  log(`\nCompleted ${type}s: ${processed} extracted, ${skipped} skipped, ${progress.errors} errors`);
+  // Only a clean incremental pass moves the high-water mark, so failed
+  // orders are looked at again by the next one. A normal run skips saved
+  // orders without comparing updatedAt, so it can't vouch for them. The mark
+  // is when listing started, not the newest updatedAt seen: an order edited
+  // while later pages were listed has a newer updatedAt than its listing shows.
+  if (CONFIG.INCREMENTAL && failed === 0) {
+    progress.incremental = progress.incremental || {};
+    progress.incremental[type] = {
+      highWaterMark: new Date(listedAt - HIGH_WATER_MARK_MARGIN).toISOString(),
+      lastSuccessfulRunAt: new Date().toISOString()
+    };
+  }
+  
+  log(`\nCompleted ${type}s: ${processed} extracted (${refreshed} refreshed), ${skipped} skipped, ${failed} errors`);
+  logThroughput();
   return processed;
 }
 
+/**
+ * Page through an account-wide list (customers, contacts...), saving every
+ * record as it arrives and the cursor after every page.
+ */
+async function extractEntities(entity, progress) {
+  const { query, root, node: nodeType, connections } = ENTITY_QUERIES[entity];
+  const { title, file } = ENTITY_PHASES[entity];
+  const label = title.toLowerCase();
+  const dir = path.join(DATA_DIR, path.basename(file, '.json'));
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  
+  progress.entities = progress.entities || {};
+  const state = progress.entities[entity] = progress.entities[entity] || { cursor: null, extracted: 0 };
+  
+  if (state.cursor) {
+    log(`Resuming ${label} from saved cursor...`);
+  } else {
+    state.extracted = 0;
+    state.passStartedAt = new Date().toISOString();
+  }
+  
+  let hasMore = true;
+  let page = 0;
+  
+  while (hasMore) {
+    const data = await graphqlRequest(query, { cursor: state.cursor });
+    const connection = data[root];
+    const extractedAt = new Date().toISOString();
+    
+    for (const node of connection.nodes) {
+      // Follow nested connections (a thread's messages) before saving
+      for (const [field, { first, selection }] of Object.entries(connections)) {
+        node[field] = await collectAllPages(node[field], (cursor) =>
+          fetchNodeConnectionPage(nodeType, node.id, field, selection, first, cursor)
+        );
+      }
+      
+      fs.writeFileSync(path.join(dir, `${node.id}.json`), JSON.stringify({ extractedAt, ...node }, null, 2));
+      state.extracted++;
+    }
+    
+    hasMore = connection.pageInfo.hasNextPage;
+    state.cursor = hasMore ? connection.pageInfo.endCursor : null;
+    saveProgress(progress);
+    page++;
+    
+    if (page % 10 === 0) {
+      log(`  Saved ${state.extracted} ${label} (page ${page})...`);
+    }
+  }
+  
+  // Combine every record saved by this pass (including before a resume) into
+  // one array. Files from earlier passes are records this listing no longer
+  // returns - deleted in Printavo - and are removed.
+  const records = [];
+  let removed = 0;
+  for (const recordFile of fs.readdirSync(dir).filter(name => name.endsWith('.json'))) {
+    const recordPath = path.join(dir, recordFile);
+    const record = JSON.parse(fs.readFileSync(recordPath, 'utf8'));
+    if (state.passStartedAt && !(record.extractedAt >= state.passStartedAt)) {
+      fs.unlinkSync(recordPath);
+      removed++;
+      continue;
+    }
+    records.push(record);
+  }
+  if (removed > 0) {
+    log(`Removed ${removed} ${label} no longer in Printavo`);
+  }
+  
+  fs.writeFileSync(path.join(DATA_DIR, file), JSON.stringify(records, null, 2));
+  
+  state.extracted = records.length;
+  state.completedAt = new Date().toISOString();
+  saveProgress(progress);
+  
+  log(`✓ ${records.length} ${label} saved to ${file}`);
+  return records.length;
+}
+
+// typesOfWork -> types_of_work.json, matching the names audit-data.js loads
+function configFileName(field) {
+  return `${field.replace(/[A-Z]/g, char => `_${char.toLowerCase()}`)}.json`;
+}
+
+/**
+ * Snapshot the account's configuration: single records (account, user) and
+ * every reference table (statuses, users, types of work...) paged to the end.
+ * Small enough to re-run in full if interrupted.
+ */
+async function extractConfiguration(progress) {
+  const data = await graphqlRequest(CONFIG_QUERY.query);
+  const tables = {};
+  
+  for (const field of CONFIG_QUERY.records) {
+    fs.writeFileSync(path.join(DATA_DIR, configFileName(field)), JSON.stringify(data[field], null, 2));
+  }
+  
+  for (const [field, { pageQuery }] of Object.entries(CONFIG_QUERY.tables)) {
+    const connection = await collectAllPages(data[field], async (cursor) => {
+      const page = await graphqlRequest(pageQuery, { cursor });
+      return page[field];
+    });
+    const nodes = connection ? connection.nodes : [];
+    
+    fs.writeFileSync(path.join(DATA_DIR, configFileName(field)), JSON.stringify(nodes, null, 2));
+    tables[field] = nodes.length;
+  }
+  
+  progress.configuration = { extractedAt: new Date().toISOString(), tables };
+  saveProgress(progress);
+  
+  const counts = Object.entries(tables).map(([field, count]) => `${count} ${field}`);
+  log(`✓ Configuration saved: ${CONFIG_QUERY.records.join(', ')}, ${counts.join(', ')}`);
+}
+
+// Phases an incremental run repeats; configuration and the account-wide
+// lists are only refreshed by a normal run
+const ORDER_PHASES = ['invoices', 'quotes'];
+
+const PHASES = [
+  {
+    name: 'configuration',
+    title: 'ACCOUNT CONFIGURATION',
+    run: (progress) => extractConfiguration(progress)
+  },
+  {
+    name: 'invoices',
+    title: 'INVOICES',
+    run: (progress) => extractOrderPhase('invoice', progress)
+  },
+  {
+    name: 'quotes',
+    title: 'QUOTES',
+    run: (progress) => extractOrderPhase('quote', progress)
+  },
+  ...Object.entries(ENTITY_PHASES).map(([entity, { title }]) => ({
+    name: entity,
+    title,
+    run: (progress) => extractEntities(entity, progress)
+  }))
+];
+
+/**
+ * Phases already finished. progress.json files from before phases were
+ * tracked individually only have `phase`, which ran invoices then quotes.
+ */
+function completedPhases(progress) {
+  if (!progress.completedPhases) {
+    const legacy = { quotes: ['invoices'], complete: ['invoices', 'quotes'] };
+    progress.completedPhases = legacy[progress.phase] || [];
+  }
+  return progress.completedPhases;
+}
+
 async function main() {
   log('╔════════════════════════════════════════════════════════════╗');
   log('║     PRINTAVO EXTRACTION v2 (Split Queries)                 ║');
@@ -469,6 +1100,21 @@ async function main() {
   const progress = loadProgress();
   log(`\nProgress loaded: ${progress.invoicesProcessed} invoices, ${progress.quotesProcessed} quotes already done`);
   
+  if (CONFIG.INCREMENTAL) {
+    const marks = ['invoice', 'quote'].map(type =>
+      `${type}s since ${progress.incremental?.[type]?.highWaterMark || 'the beginning'}`
+    );
+    log(`Incremental mode: checking ${marks.join(', ')}`);
+  }
+  
+  // Running again after a complete extraction refreshes it: every phase, or
+  // in incremental mode just the orders (saved orders are skipped either way)
+  if (progress.phase === 'complete') {
+    progress.completedPhases = CONFIG.INCREMENTAL
+      ? completedPhases(progress).filter(name => !ORDER_PHASES.includes(name))
+      : [];
+  }
+  
   log('\nVerifying Printavo API access...');
   try {
     const testData = await graphqlRequest('query { invoices(first: 1) { totalNodes } }');
@@ -481,22 +1127,24 @@ async function main() {
   const startTime = Date.now();
   
   try {
-    if (progress.phase === 'invoices' || !progress.phase) {
-      log('\n--- PHASE 1: INVOICES ---');
-      const invoiceIds = await fetchAllOrderIds('invoice');
-      await extractOrders('invoice', invoiceIds, progress);
-      progress.phase = 'quotes';
-      saveProgress(progress);
-    }
+    const done = completedPhases(progress);
     
-    if (progress.phase === 'quotes') {
-      log('\n--- PHASE 2: QUOTES ---');
-      const quoteIds = await fetchAllOrderIds('quote');
-      await extractOrders('quote', quoteIds, progress);
-      progress.phase = 'complete';
+    for (const [index, phase] of PHASES.entries()) {
+      if (done.includes(phase.name)) continue;
+      
+      log(`\n--- PHASE ${index + 1}: ${phase.title} ---`);
+      progress.phase = phase.name;
+      saveProgress(progress);
+      
+      await phase.run(progress);
+      
+      done.push(phase.name);
       saveProgress(progress);
     }
     
+    progress.phase = 'complete';
+    saveProgress(progress);
+    
     const duration = ((Date.now() - startTime) / 1000 / 60).toFixed(1);
     
     const summary = {
@@ -504,12 +1152,21 @@ async function main() {
       duration: `${duration} minutes`,
       invoicesExtracted: progress.invoicesProcessed,
       quotesExtracted: progress.quotesProcessed,
+      invoicesRefreshed: progress.invoicesRefreshed || 0,
+      quotesRefreshed: progress.quotesRefreshed || 0,
+      incremental: progress.incremental || null,
       totalOrders: progress.invoicesProcessed + progress.quotesProcessed,
+      configuration: progress.configuration?.tables || {},
+      entities: Object.fromEntries(Object.keys(ENTITY_PHASES).map(entity =>
+        [entity, progress.entities?.[entity]?.extracted || 0]
+      )),
       totalProductionFiles: progress.totalProductionFiles,
       totalLineItemMockups: progress.totalLineItemMockups,
       totalImprintMockups: progress.totalImprintMockups,
       totalFiles: progress.totalProductionFiles + progress.totalLineItemMockups + progress.totalImprintMockups,
-      errors: progress.errors
+      splitOrders: progress.splitOrders || 0,
+      errors: progress.errors,
+      throughput: rateLimitStats()
     };
     
     fs.writeFileSync(SUMMARY_FILE, JSON.stringify(summary, null, 2));
@@ -520,8 +1177,14 @@ async function main() {
     log(`║  Duration: ${duration} minutes`.padEnd(61) + '║');
     log(`║  Invoices: ${summary.invoicesExtracted}`.padEnd(61) + '║');
     log(`║  Quotes: ${summary.quotesExtracted}`.padEnd(61) + '║');
+    for (const [entity, count] of Object.entries(summary.entities)) {
+      const label = ENTITY_PHASES[entity].title.toLowerCase().replace(/\b\w/g, char => char.toUpperCase());
+      log(`║  ${label}: ${count}`.padEnd(61) + '║');
+    }
+    log(`║  Reference Tables: ${Object.keys(summary.configuration).length}`.padEnd(61) + '║');
     log(`║  Total Files: ${summary.totalFiles}`.padEnd(61) + '║');
     log(`║  Errors: ${summary.errors}`.padEnd(61) + '║');
+    log(`║  API: ${summary.throughput.apiRequests} requests @ ${summary.throughput.requestsPerSecond}/s`.padEnd(61) + '║');
     log('╚════════════════════════════════════════════════════════════╝');
     
   } catch (error) {
@@ -0,0 +1,77 @@
+/**
+ * RFC 4180 CSV
+ *
+ * Fields are quoted when they contain a comma, quote, CR or LF, with quotes
+ * doubled; records end in CRLF. parseCSV reads the same format (and LF-only
+ * files).
+ */
+
+function formatField(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One record, CRLF included
+ */
+function formatRow(values) {
+  return values.map(formatField).join(',') + '\r\n';
+}
+
+/**
+ * A whole file: header row, then one record per object (missing keys are empty)
+ */
+function formatCSV(columns, rows) {
+  return formatRow(columns) + rows.map(row => formatRow(columns.map(column => row[column]))).join('');
+}
+
+/**
+ * Split CSV text into rows of fields (quoted fields, "" escapes, CRLF or LF).
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+module.exports = {
+  formatField,
+  formatRow,
+  formatCSV,
+  parseCSV
+};
@@ -0,0 +1,257 @@
+/**
+ * Backup Data Loader
+ *
+ * Reads a backup in the layout extract-all-data.js writes under DATA_DIR,
+ * for the scripts that analyze or export it:
+ *
+ * - orders from invoices/<visualId>.json and quotes/<visualId>.json
+ * - account-wide records from the combined arrays (customers.json...)
+ * - account configuration (account.json, user.json, statuses.json)
+ * - where download-files.js saved each file (url-mapping.csv)
+ *
+ * Connections are saved as { nodes: [...] } - every page collected, with
+ * the pageInfo dropped; the loader unwraps them into plain arrays, so
+ * order.lineItemGroups[0].lineItems is an array.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseCSV } = require('./csv');
+
+const REPO_ROOT = path.resolve(__dirname, '..', '..');
+
+// One file per order, by visual ID
+const ORDER_DIRS = {
+  invoices: 'invoices',
+  quotes: 'quotes'
+};
+
+// Combined files in DATA_DIR, by the key they're loaded under
+const DATA_FILES = {
+  account: 'account.json',
+  user: 'user.json',
+  contacts: 'contacts.json',
+  customers: 'customers.json',
+  inquiries: 'inquiries.json',
+  products: 'products.json',
+  statuses: 'statuses.json',
+  threads: 'threads.json',
+  paymentRequests: 'payment_requests.json',
+  merchStores: 'merch_stores.json',
+  merchOrders: 'merch_orders.json'
+};
+
+// Single records rather than arrays; null when missing
+const RECORD_KEYS = ['account', 'user'];
+
+// Printavo's size keys, smallest first; anything else follows alphabetically
+const SIZE_ORDER = [
+  'size_yxs', 'size_ys', 'size_ym', 'size_yl', 'size_yxl',
+  'size_xs', 'size_s', 'size_m', 'size_l', 'size_xl',
+  'size_2xl', 'size_3xl', 'size_4xl', 'size_5xl', 'size_6xl', 'size_other'
+];
+
+// Written by download-files.js. Files are saved once per content hash under
+// files/store/; rows from before the store (no sha256) point into files/<bucket>/
+const URL_MAPPING_FILE = 'url-mapping.csv';
+
+/**
+ * DATA_DIR from config.js (relative to the repo root), unless given.
+ */
+function resolveDataDir(dataDir) {
+  if (dataDir) return path.resolve(dataDir);
+
+  let config = {};
+  try {
+    config = require(path.join(REPO_ROOT, 'config.js'));
+  } catch (e) {}
+  return path.resolve(REPO_ROOT, config.DATA_DIR || './data');
+}
+
+/**
+ * Replace every { nodes: [...] } connection with its nodes, recursively.
+ */
+function unwrapConnections(value) {
+  if (Array.isArray(value)) return value.map(unwrapConnections);
+  if (!value || typeof value !== 'object') return value;
+  if (Array.isArray(value.nodes)) return value.nodes.map(unwrapConnections);
+
+  const result = {};
+  for (const [key, child] of Object.entries(value)) {
+    result[key] = unwrapConnections(child);
+  }
+  return result;
+}
+
+function readJSON(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Every saved order in one directory, unwrapped and sorted by visual ID.
+ * Returns null if the directory doesn't exist.
+ */
+function loadOrders(dataDir, dirName, onError = () => {}) {
+  const dir = path.join(dataDir, dirName);
+  if (!fs.existsSync(dir)) return null;
+
+  const orders = [];
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith('.json')) continue;
+    try {
+      orders.push(unwrapConnections(readJSON(path.join(dir, file))));
+    } catch (e) {
+      onError(`${dirName}/${file}`, e);
+    }
+  }
+
+  return orders.sort((a, b) => String(a.visualId).localeCompare(String(b.visualId), undefined, { numeric: true }));
+}
+
+/**
+ * Flatten one per-order connection (tasks, transactions) into an account-wide
+ * list, once per ID. Records come from their order, so the link back to it
+ * (`linkField`) is filled in when the query didn't select it.
+ */
+function collectFromOrders(orders, field, linkField) {
+  const seen = new Set();
+  const records = [];
+
+  for (const order of orders) {
+    for (const record of order[field] || []) {
+      if (seen.has(record.id)) continue;
+      seen.add(record.id);
+      records.push(record[linkField] ? record : { ...record, [linkField]: { id: order.id, visualId: order.visualId } });
+    }
+  }
+
+  return records;
+}
+
+/**
+ * Load a whole backup. Returns invoices, quotes, orders (both), tasks and
+ * transactions (from the orders) and every DATA_FILES key - arrays, empty if
+ * the file is missing, except account and user.
+ *
+ * Callbacks report progress: onLoad(name), onMissing(name), onError(name, error).
+ */
+function loadBackup({ dataDir, onLoad = () => {}, onMissing = () => {}, onError = () => {} } = {}) {
+  const dir = resolveDataDir(dataDir);
+  const data = {};
+
+  for (const [key, dirName] of Object.entries(ORDER_DIRS)) {
+    const orders = loadOrders(dir, dirName, onError);
+    if (orders) {
+      onLoad(`${dirName}/ (${orders.length} orders)`);
+    } else {
+      onMissing(`${dirName}/`);
+    }
+    data[key] = orders || [];
+  }
+
+  data.orders = [...data.invoices, ...data.quotes];
+  data.tasks = collectFromOrders(data.orders, 'tasks', 'taskable');
+  data.transactions = collectFromOrders(data.orders, 'transactions', 'transactedFor');
+
+  for (const [key, file] of Object.entries(DATA_FILES)) {
+    const filePath = path.join(dir, file);
+    let value = null;
+
+    if (!fs.existsSync(filePath)) {
+      onMissing(file);
+    } else {
+      try {
+        value = unwrapConnections(readJSON(filePath));
+        onLoad(file);
+      } catch (e) {
+        onError(file, e);
+      }
+    }
+
+    data[key] = value || (RECORD_KEYS.includes(key) ? null : []);
+  }
+
+  return data;
+}
+
+/**
+ * Every customer and contact in a loaded backup, as Maps by ID: the directory
+ * files when they were extracted, plus the stubs orders and directory records
+ * link to, so exports can resolve every link.
+ */
+function collectPeople(data) {
+  const customers = new Map();
+  const contacts = new Map();
+  const addCustomer = (customer, full) => {
+    if (customer?.id && (full || !customers.has(customer.id))) customers.set(customer.id, customer);
+  };
+  const addContact = (contact, full) => {
+    if (contact?.id && (full || !contacts.has(contact.id))) contacts.set(contact.id, contact);
+  };
+
+  data.customers.forEach(customer => addCustomer(customer, true));
+  data.contacts.forEach(contact => addContact(contact, true));
+
+  data.customers.forEach(customer => addContact(customer.primaryContact && { ...customer.primaryContact, customer: { id: customer.id } }));
+  data.contacts.forEach(contact => addCustomer(contact.customer));
+  data.orders.forEach(order => {
+    addContact(order.contact);
+    addCustomer(order.contact?.customer);
+  });
+
+  return { customers, contacts };
+}
+
+/**
+ * Distinct size keys (size_m, size_2xl...) in SIZE_ORDER
+ */
+function sortSizes(sizes) {
+  const seen = new Set(sizes);
+  const known = SIZE_ORDER.filter(size => seen.has(size));
+  const other = [...seen].filter(size => !SIZE_ORDER.includes(size)).sort();
+  return [...known, ...other];
+}
+
+/**
+ * Downloaded files by original URL: Map of url -> { bucket, localPath,
+ * visualId, originalName, sha256, size }, localPath relative to DATA_DIR.
+ * Empty if download-files.js hasn't run.
+ */
+function loadUrlMapping(dataDir) {
+  const mappingPath = path.join(resolveDataDir(dataDir), URL_MAPPING_FILE);
+  const mapping = new Map();
+  if (!fs.existsSync(mappingPath)) return mapping;
+
+  const [header, ...rows] = parseCSV(fs.readFileSync(mappingPath, 'utf8'));
+  const column = name => header.indexOf(name);
+  for (const row of rows) {
+    const url = row[column('old_url')];
+    const bucket = row[column('bucket')];
+    const sha256 = row[column('sha256')] || null;
+    if (!url) continue;
+    mapping.set(url, {
+      bucket,
+      localPath: sha256
+        ? path.posix.join('files', row[column('new_path')])
+        : path.posix.join('files', bucket, row[column('new_path')]),
+      visualId: row[column('visual_id')],
+      originalName: row[column('original_name')],
+      sha256,
+      size: sha256 ? Number(row[column('size')]) : null
+    });
+  }
+  return mapping;
+}
+
+module.exports = {
+  ORDER_DIRS,
+  DATA_FILES,
+  URL_MAPPING_FILE,
+  resolveDataDir,
+  unwrapConnections,
+  loadOrders,
+  loadBackup,
+  collectPeople,
+  sortSizes,
+  loadUrlMapping
+};
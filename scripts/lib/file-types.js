@@ -0,0 +1,231 @@
+/**
+ * File Type Detection
+ *
+ * Works out the extension for a downloaded file. Filestack URLs rarely carry
+ * one, so download-files.js looks at, in order: the response Content-Type,
+ * the Content-Disposition filename, the file's original name from the API,
+ * the `+.ext` URL suffix, the API's mimeType, and finally the file's first
+ * bytes. A Content-Type several formats share (application/postscript) only
+ * picks among them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Bytes read from the start of a file for sniffing
+const SNIFF_BYTES = 512;
+
+const MIME_EXTENSIONS = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/pjpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/bmp': '.bmp',
+  'image/tiff': '.tif',
+  'image/svg+xml': '.svg',
+  'image/heic': '.heic',
+  'image/vnd.adobe.photoshop': '.psd',
+  'image/x-photoshop': '.psd',
+  'application/x-photoshop': '.psd',
+  'application/photoshop': '.psd',
+  'application/psd': '.psd',
+  'application/pdf': '.pdf',
+  'application/illustrator': '.ai',
+  'application/x-illustrator': '.ai',
+  'application/vnd.adobe.illustrator': '.ai',
+  'application/postscript': '.eps',
+  'application/eps': '.eps',
+  'application/x-eps': '.eps',
+  'image/eps': '.eps',
+  'image/x-eps': '.eps',
+  'application/cdr': '.cdr',
+  'application/coreldraw': '.cdr',
+  'application/x-cdr': '.cdr',
+  'application/x-coreldraw': '.cdr',
+  'application/vnd.corel-draw': '.cdr',
+  'image/x-cdr': '.cdr',
+  'application/zip': '.zip',
+  'application/x-zip-compressed': '.zip',
+  'application/msword': '.doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+  'application/vnd.ms-excel': '.xls',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+  'text/plain': '.txt',
+  'text/csv': '.csv',
+  'text/html': '.html'
+};
+
+// Content-Types that say nothing about the file
+const GENERIC_TYPES = [
+  'application/octet-stream',
+  'binary/octet-stream',
+  'application/binary',
+  'application/unknown',
+  'application/force-download',
+  'application/download'
+];
+
+// Content-Types used for several formats, default first: the name's
+// extension or the file's bytes choose among them
+const AMBIGUOUS_TYPES = {
+  'application/postscript': ['.eps', '.ai', '.ps']
+};
+
+// Types sniffExtension always recognizes: a file claiming one of these
+// without its signature is not that type
+const SIGNED_EXTENSIONS = ['.png', '.jpg', '.gif', '.webp', '.bmp', '.tif', '.psd', '.pdf', '.zip'];
+
+// Adobe's formats are saved interchangeably: Illustrator writes PDF or
+// PostScript, and an .eps or .ps export is often PDF inside
+const ADOBE_TYPES = ['.pdf', '.eps', '.ps'];
+
+// Sniffed types a file may have under another extension: Office and newer
+// CorelDRAW files are zip archives
+const COMPATIBLE_TYPES = {
+  '.ai': ADOBE_TYPES,
+  '.eps': ADOBE_TYPES,
+  '.ps': ADOBE_TYPES,
+  '.cdr': ['.zip'],
+  '.docx': ['.zip'],
+  '.xlsx': ['.zip']
+};
+
+function baseType(mimeType) {
+  return mimeType ? mimeType.split(';')[0].trim().toLowerCase() : null;
+}
+
+function extensionFromMimeType(mimeType) {
+  if (!mimeType) return null;
+  const type = baseType(mimeType);
+  if (GENERIC_TYPES.includes(type)) return null;
+  return MIME_EXTENSIONS[type] || null;
+}
+
+/**
+ * The extension of a file name, if it looks like a real one (.ai, .jpeg, .tiff)
+ */
+function extensionFromName(name) {
+  if (!name) return null;
+  const ext = path.extname(name).toLowerCase();
+  if (!/^\.(?=[0-9]*[a-z])[a-z0-9]{1,5}$/.test(ext) || ext === '.bin') return null;
+  return ext === '.jpeg' ? '.jpg' : ext === '.tiff' ? '.tif' : ext;
+}
+
+/**
+ * filename from a Content-Disposition header (filename*=UTF-8''... preferred)
+ */
+function filenameFromDisposition(header) {
+  if (!header) return null;
+  const extended = header.match(/filename\*\s*=\s*[^']*'[^']*'([^;]+)/i);
+  if (extended) {
+    try {
+      return decodeURIComponent(extended[1].trim());
+    } catch (e) {}
+  }
+  const plain = header.match(/filename\s*=\s*("([^"]*)"|[^;]+)/i);
+  return plain ? (plain[2] ?? plain[1]).trim() : null;
+}
+
+function startsWith(buffer, bytes, offset = 0) {
+  if (buffer.length < offset + bytes.length) return false;
+  return bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+function ascii(buffer, start, end) {
+  return buffer.subarray(start, end).toString('latin1');
+}
+
+/**
+ * Identify a file from its first bytes. Returns an extension or null.
+ */
+function sniffExtension(buffer) {
+  if (!buffer || buffer.length === 0) return null;
+
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return '.png';
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return '.jpg';
+  if (ascii(buffer, 0, 6) === 'GIF87a' || ascii(buffer, 0, 6) === 'GIF89a') return '.gif';
+  if (ascii(buffer, 0, 4) === 'RIFF') {
+    const form = ascii(buffer, 8, 12);
+    if (form === 'WEBP') return '.webp';
+    if (form.startsWith('CDR') || form.startsWith('cdr')) return '.cdr';
+  }
+  if (ascii(buffer, 0, 4) === '8BPS') return '.psd';
+  if (startsWith(buffer, [0x49, 0x49, 0x2a, 0x00]) || startsWith(buffer, [0x4d, 0x4d, 0x00, 0x2a])) return '.tif';
+  if (startsWith(buffer, [0xc5, 0xd0, 0xd3, 0xc6])) return '.eps'; // DOS EPS binary header
+  if (ascii(buffer, 0, 5) === '%PDF-') return '.pdf';
+  if (ascii(buffer, 0, 4) === '%!PS') {
+    const firstLine = ascii(buffer, 0, 64).split(/[\r\n]/)[0];
+    return /EPSF/.test(firstLine) ? '.eps' : '.ps';
+  }
+  if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04]) || startsWith(buffer, [0x50, 0x4b, 0x05, 0x06])) return '.zip';
+  if (ascii(buffer, 0, 2) === 'BM' && buffer.length >= 14) return '.bmp';
+
+  const text = buffer.subarray(0, SNIFF_BYTES).toString('utf8').replace(/^\uFEFF/, '').trimStart().toLowerCase();
+  if (text.startsWith('<svg') || (text.startsWith('<?xml') && text.includes('<svg'))) return '.svg';
+  if (text.startsWith('<!doctype html') || text.startsWith('<html')) return '.html';
+
+  return null;
+}
+
+/**
+ * The first SNIFF_BYTES of a file
+ */
+function readHead(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const bytesRead = fs.readSync(fd, buffer, 0, SNIFF_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Whether a file's first bytes fit the extension it is stored with. Types
+ * without a reliable signature (.cdr, .txt...) only fail when the bytes are
+ * clearly something else, such as an HTML error page.
+ */
+function matchesExtension(ext, head) {
+  const sniffed = sniffExtension(head);
+  if (!sniffed) return !SIGNED_EXTENSIONS.includes(ext);
+  return sniffed === ext || (COMPATIBLE_TYPES[ext] || []).includes(sniffed);
+}
+
+/**
+ * Pick an extension from whatever is known about a file:
+ * { contentType, disposition, name, url, mimeType, head }. Falls back to .bin.
+ */
+function detectExtension({ contentType, disposition, name, url, mimeType, head }) {
+  const urlSuffix = url && url.match(/\+\.(\w+)/);
+  const named = [
+    extensionFromName(filenameFromDisposition(disposition)),
+    extensionFromName(name),
+    urlSuffix && extensionFromName(`file.${urlSuffix[1]}`)
+  ];
+
+  // logo.ai served as application/postscript stays .ai
+  const family = AMBIGUOUS_TYPES[baseType(contentType)];
+  if (family) {
+    return [...named, sniffExtension(head)].find(ext => family.includes(ext)) || family[0];
+  }
+
+  return extensionFromMimeType(contentType)
+    || named.find(Boolean)
+    || extensionFromMimeType(mimeType)
+    || sniffExtension(head)
+    || '.bin';
+}
+
+module.exports = {
+  SNIFF_BYTES,
+  MIME_EXTENSIONS,
+  extensionFromMimeType,
+  extensionFromName,
+  filenameFromDisposition,
+  sniffExtension,
+  readHead,
+  matchesExtension,
+  detectExtension
+};
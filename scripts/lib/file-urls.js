@@ -0,0 +1,158 @@
+/**
+ * File References
+ *
+ * Finds every downloadable file URL in a backup, in the layout
+ * extract-all-data.js writes: production files, mockups and the documents
+ * Printavo renders for each order (invoice PDF, work order, packing slip,
+ * public page) from invoices/ and quotes/, and message attachments from
+ * threads/. Used by download-files.js to fetch them and verify-files.js to
+ * check them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Where each kind of file comes from; also the bucket column of url-mapping.csv
+const FILE_BUCKETS = [
+  'production-files',
+  'line-item-mockups',
+  'imprint-mockups',
+  'message-attachments',
+  'order-documents'
+];
+
+const DOCUMENTS_BUCKET = 'order-documents';
+
+// Order header fields holding a rendered document, and its name for an
+// order type, saved with the visual ID: publicPdf -> invoice-1001 or quote-2001
+const ORDER_DOCUMENTS = {
+  publicPdf: type => type,
+  workorderUrl: () => 'work-order',
+  packingSlipUrl: () => 'packing-slip',
+  publicUrl: () => 'public-page'
+};
+
+/**
+ * Each parsed JSON file in dataDir/dirName; onError(name, error) for any that
+ * can't be read.
+ */
+function readRecords(dataDir, dirName, onError) {
+  const dir = path.join(dataDir, dirName);
+  if (!fs.existsSync(dir)) return [];
+
+  const records = [];
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith('.json')) continue;
+    try {
+      records.push(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+    } catch (e) {
+      onError(`${dirName}/${file}`, e);
+    }
+  }
+  return records;
+}
+
+/**
+ * Extract all file URLs from extracted order and thread data. Returns
+ * { bucket: [{ url, visualId, originalName, mimeType, printavoId }] }, one
+ * entry per reference - the same URL can appear under several orders.
+ * Order documents also carry `document` (their ORDER_DOCUMENTS name) and
+ * the order's ID as printavoId.
+ */
+function extractAllUrls(dataDir, onError = () => {}) {
+  const urls = Object.fromEntries(FILE_BUCKETS.map(bucket => [bucket, []]));
+
+  const processOrder = (orderData, visualId, type) => {
+    // Documents Printavo renders from the order; their type is only known
+    // once downloaded (the public page is HTML, the rest usually PDF)
+    for (const [field, documentName] of Object.entries(ORDER_DOCUMENTS)) {
+      if (orderData[field]) {
+        const document = documentName(type);
+        urls[DOCUMENTS_BUCKET].push({
+          url: orderData[field],
+          visualId,
+          originalName: `${document}-${visualId}`,
+          mimeType: null,
+          printavoId: orderData.id,
+          document
+        });
+      }
+    }
+
+    // Production files
+    orderData.productionFiles?.nodes?.forEach(file => {
+      if (file.fileUrl) {
+        urls['production-files'].push({
+          url: file.fileUrl,
+          visualId,
+          originalName: file.name,
+          mimeType: file.mimeType,
+          printavoId: file.id
+        });
+      }
+    });
+
+    // Line items and imprints
+    orderData.lineItemGroups?.nodes?.forEach(group => {
+      // Line item mockups
+      group.lineItems?.nodes?.forEach(item => {
+        item.mockups?.nodes?.forEach(mockup => {
+          if (mockup.fullImageUrl) {
+            urls['line-item-mockups'].push({
+              url: mockup.fullImageUrl,
+              visualId,
+              originalName: `mockup-${mockup.id}`,
+              mimeType: mockup.mimeType,
+              printavoId: mockup.id
+            });
+          }
+        });
+      });
+
+      // Imprint mockups
+      group.imprints?.nodes?.forEach(imprint => {
+        imprint.mockups?.nodes?.forEach(mockup => {
+          if (mockup.fullImageUrl) {
+            urls['imprint-mockups'].push({
+              url: mockup.fullImageUrl,
+              visualId,
+              originalName: `mockup-${mockup.id}`,
+              mimeType: mockup.mimeType,
+              printavoId: mockup.id
+            });
+          }
+        });
+      });
+    });
+  };
+
+  const processThread = (thread) => {
+    const visualId = thread.order?.visualId || '';
+    thread.messages?.nodes?.forEach(message => {
+      message.attachments?.forEach(attachment => {
+        if (attachment.fileUrl) {
+          urls['message-attachments'].push({
+            url: attachment.fileUrl,
+            visualId,
+            originalName: attachment.name,
+            mimeType: attachment.mimeType,
+            printavoId: attachment.id
+          });
+        }
+      });
+    });
+  };
+
+  for (const order of readRecords(dataDir, 'invoices', onError)) processOrder(order, order.visualId, 'invoice');
+  for (const order of readRecords(dataDir, 'quotes', onError)) processOrder(order, order.visualId, 'quote');
+  for (const thread of readRecords(dataDir, 'threads', onError)) processThread(thread);
+
+  return urls;
+}
+
+module.exports = {
+  FILE_BUCKETS,
+  DOCUMENTS_BUCKET,
+  ORDER_DOCUMENTS,
+  extractAllUrls
+};
@@ -0,0 +1,486 @@
+/**
+ * GraphQL Query Loader
+ *
+ * Loads the .graphql documents in queries/ so the extractor and the files
+ * in the repo can't drift apart. Each document is parsed (just enough
+ * GraphQL to walk selection sets), checked for the fields the extractor
+ * depends on, and turned into the pieces extract-all-data.js needs:
+ *
+ * - list queries, sent as-is
+ * - the order header query, parameterized for invoice or quote
+ * - the account configuration query, plus a page query per reference table
+ * - the selection set and page size of every paginated connection, used to
+ *   build first-page and follow-up page queries
+ *
+ * Add a field by editing the query file; a file that doesn't parse or drops
+ * a required field (id, visualId, pageInfo, fileUrl...) stops the extractor
+ * at startup instead of producing incomplete backups.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_QUERIES_DIR = path.resolve(__dirname, '..', '..', 'queries');
+
+const QUERY_FILES = {
+  listInvoices: 'list-invoices.graphql',
+  listQuotes: 'list-quotes.graphql',
+  header: 'get-order-header.graphql',
+  lineItems: 'get-order-line-items.graphql',
+  financials: 'get-order-financials.graphql'
+};
+
+// Account-wide list queries, one paginated root connection each. Extracted
+// after the orders, one record per node (see ENTITY_PHASES in extract-all-data.js).
+// `connections` are nested connections on each node, followed by cursor
+// through the `node` root query (thread(id) for messages).
+const ENTITY_QUERY_FILES = {
+  customers: { file: 'list-customers.graphql', root: 'customers', required: ['id', 'primaryContact'] },
+  contacts: { file: 'list-contacts.graphql', root: 'contacts', required: ['id', 'customer'] },
+  products: { file: 'list-products.graphql', root: 'products', required: ['id'] },
+  threads: {
+    file: 'list-threads.graphql',
+    root: 'threads',
+    required: ['id', 'order'],
+    node: 'thread',
+    connections: { messages: ['id'] }
+  },
+  inquiries: { file: 'list-inquiries.graphql', root: 'inquiries', required: ['id'] },
+  paymentRequests: { file: 'list-payment-requests.graphql', root: 'paymentRequests', required: ['id'] },
+  merchStores: { file: 'list-merch-stores.graphql', root: 'merchStores', required: ['id'] },
+  merchOrders: { file: 'list-merch-orders.graphql', root: 'merchOrders', required: ['id', 'store'] }
+};
+
+// Account configuration: sent as written. Root fields with `nodes` are
+// reference tables paged to the end; the rest are single records.
+const CONFIG_QUERY_FILE = 'get-account-config.graphql';
+
+// Order queries are written against `invoice(id: $id)`; quotes swap the root field
+const ORDER_ROOT_FIELD = 'invoice';
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+function queryError(file, message) {
+  return new Error(`${file}: ${message}`);
+}
+
+function tokenize(source, file) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/[\s,]/.test(char)) {
+      i++;
+    } else if (char === '#') {
+      while (i < source.length && source[i] !== '\n') i++;
+    } else if (source.startsWith('...', i)) {
+      tokens.push({ type: 'punct', value: '...' });
+      i += 3;
+    } else if ('{}()[]:!$=@'.includes(char)) {
+      tokens.push({ type: 'punct', value: char });
+      i++;
+    } else if (char === '"') {
+      let end = i + 1;
+      while (end < source.length && source[end] !== '"') {
+        if (source[end] === '\\') end++;
+        end++;
+      }
+      if (end >= source.length) throw queryError(file, 'unterminated string');
+      tokens.push({ type: 'string', value: source.slice(i, end + 1) });
+      i = end + 1;
+    } else if (/[-0-9]/.test(char)) {
+      const match = source.slice(i).match(/^-?\d+(\.\d+)?([eE][+-]?\d+)?/);
+      if (!match) throw queryError(file, `unexpected character "${char}"`);
+      tokens.push({ type: 'number', value: match[0] });
+      i += match[0].length;
+    } else if (/[_A-Za-z]/.test(char)) {
+      const match = source.slice(i).match(/^[_A-Za-z][_0-9A-Za-z]*/);
+      tokens.push({ type: 'name', value: match[0] });
+      i += match[0].length;
+    } else {
+      throw queryError(file, `unexpected character "${char}"`);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a single-operation GraphQL document into
+ * { operation, name, variables, selections }, where each selection is
+ * { kind: 'field', alias, name, args: [{ name, value }], selections } or
+ * { kind: 'inline', typeCondition, selections }.
+ */
+function parseDocument(source, file = 'query') {
+  const tokens = tokenize(source, file);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => {
+    if (pos >= tokens.length) throw queryError(file, 'unexpected end of document');
+    return tokens[pos++];
+  };
+  const expect = (value) => {
+    const token = next();
+    if (token.value !== value) {
+      throw queryError(file, `expected "${value}" but found "${token.value}"`);
+    }
+    return token;
+  };
+  const expectName = () => {
+    const token = next();
+    if (token.type !== 'name') throw queryError(file, `expected a name but found "${token.value}"`);
+    return token.value;
+  };
+
+  function parseValue() {
+    const token = next();
+    if (token.value === '$') return `$${expectName()}`;
+    if (token.value === '[') {
+      const items = [];
+      while (peek() && peek().value !== ']') items.push(parseValue());
+      expect(']');
+      return `[${items.join(', ')}]`;
+    }
+    if (token.value === '{') {
+      const fields = [];
+      while (peek() && peek().value !== '}') {
+        const name = expectName();
+        expect(':');
+        fields.push(`${name}: ${parseValue()}`);
+      }
+      expect('}');
+      return `{ ${fields.join(', ')} }`;
+    }
+    if (token.type === 'punct') throw queryError(file, `unexpected "${token.value}" in value`);
+    return token.value;
+  }
+
+  function parseArguments() {
+    const args = [];
+    expect('(');
+    while (peek() && peek().value !== ')') {
+      const name = expectName();
+      expect(':');
+      args.push({ name, value: parseValue() });
+    }
+    expect(')');
+    return args;
+  }
+
+  function parseSelectionSet() {
+    const selections = [];
+    expect('{');
+    while (peek() && peek().value !== '}') {
+      if (peek().value === '...') {
+        next();
+        if (!peek() || peek().value !== 'on') {
+          throw queryError(file, 'named fragment spreads are not supported; use "... on Type { }"');
+        }
+        next();
+        const typeCondition = expectName();
+        selections.push({ kind: 'inline', typeCondition, selections: parseSelectionSet() });
+        continue;
+      }
+
+      let alias = null;
+      let name = expectName();
+      if (peek() && peek().value === ':') {
+        next();
+        alias = name;
+        name = expectName();
+      }
+      const args = peek() && peek().value === '(' ? parseArguments() : [];
+      const children = peek() && peek().value === '{' ? parseSelectionSet() : null;
+      selections.push({ kind: 'field', alias, name, args, selections: children });
+    }
+    expect('}');
+    if (selections.length === 0) throw queryError(file, 'empty selection set');
+    return selections;
+  }
+
+  let operation = 'query';
+  let name = null;
+  let variables = '';
+
+  if (peek() && peek().type === 'name') {
+    operation = expectName();
+    if (operation !== 'query') throw queryError(file, `only query operations are supported, found "${operation}"`);
+    if (peek() && peek().type === 'name') name = expectName();
+    if (peek() && peek().value === '(') {
+      const start = pos;
+      let depth = 0;
+      do {
+        const token = next();
+        if (token.value === '(') depth++;
+        if (token.value === ')') depth--;
+      } while (depth > 0);
+      variables = printVariableTokens(tokens.slice(start, pos));
+    }
+  }
+
+  const selections = parseSelectionSet();
+  if (pos !== tokens.length) {
+    throw queryError(file, `unexpected "${peek().value}" after the operation (one operation per file)`);
+  }
+
+  return { operation, name, variables, selections };
+}
+
+function printVariableTokens(tokens) {
+  return tokens.map(t => t.value).join(' ')
+    .replace(/\( /g, '(').replace(/ \)/g, ')')
+    .replace(/\$ /g, '$').replace(/ :/g, ':').replace(/ !/g, '!')
+    .replace(/ (?=\$)/g, ', ').replace(/\(, /g, '(');
+}
+
+// =============================================================================
+// PRINTING
+// =============================================================================
+
+function printSelections(selections) {
+  return selections.map(selection => {
+    if (selection.kind === 'inline') {
+      return `... on ${selection.typeCondition} { ${printSelections(selection.selections)} }`;
+    }
+    let text = selection.alias ? `${selection.alias}: ${selection.name}` : selection.name;
+    if (selection.args.length > 0) {
+      text += `(${selection.args.map(a => `${a.name}: ${a.value}`).join(', ')})`;
+    }
+    if (selection.selections) {
+      text += ` { ${printSelections(selection.selections)} }`;
+    }
+    return text;
+  }).join(' ');
+}
+
+function printDocument(doc) {
+  const header = [doc.operation, doc.name].filter(Boolean).join(' ') + doc.variables;
+  return `${header} { ${printSelections(doc.selections)} }`;
+}
+
+// =============================================================================
+// VALIDATION HELPERS
+// =============================================================================
+
+function findField(selections, name) {
+  return (selections || []).find(s => s.kind === 'field' && s.name === name && !s.alias);
+}
+
+function requireField(file, selections, name, where) {
+  const field = findField(selections, name);
+  if (!field) throw queryError(file, `missing required field "${name}" in ${where}`);
+  return field;
+}
+
+// Field is selected directly or inside every inline fragment (unions like transactions)
+function requireFieldInNodes(file, selections, name, where) {
+  if (findField(selections, name)) return;
+  const fragments = selections.filter(s => s.kind === 'inline');
+  if (fragments.length > 0 && fragments.every(f => findField(f.selections, name))) return;
+  throw queryError(file, `missing required field "${name}" in ${where}`);
+}
+
+function argValue(field, name) {
+  const arg = field.args.find(a => a.name === name);
+  return arg ? arg.value : null;
+}
+
+/**
+ * Check a paginated connection: first: N, nodes { id ... } and
+ * pageInfo { hasNextPage endCursor }. Returns { first, nodes, selection }.
+ */
+function readConnection(file, field, where, requiredNodeFields = ['id']) {
+  const label = `${where}.${field.name}`;
+  const first = Number(argValue(field, 'first'));
+  if (!Number.isInteger(first) || first < 1) {
+    throw queryError(file, `${label} needs a numeric "first" argument`);
+  }
+
+  const nodes = requireField(file, field.selections, 'nodes', label);
+  if (!nodes.selections) throw queryError(file, `${label}.nodes has no selection set`);
+  requiredNodeFields.forEach(name => requireFieldInNodes(file, nodes.selections, name, `${label}.nodes`));
+
+  const pageInfo = requireField(file, field.selections, 'pageInfo', label);
+  ['hasNextPage', 'endCursor'].forEach(name => requireField(file, pageInfo.selections, name, `${label}.pageInfo`));
+
+  return { first, nodes: nodes.selections, selection: printSelections(nodes.selections) };
+}
+
+function requireOrderRoot(file, doc) {
+  const root = doc.selections[0];
+  if (doc.selections.length !== 1 || root.kind !== 'field' || root.name !== ORDER_ROOT_FIELD) {
+    throw queryError(file, `must select a single "${ORDER_ROOT_FIELD}(id: $id)" root field`);
+  }
+  if (argValue(root, 'id') !== '$id') {
+    throw queryError(file, `"${ORDER_ROOT_FIELD}" must take "id: $id"`);
+  }
+  requireField(file, root.selections, 'id', ORDER_ROOT_FIELD);
+  return root;
+}
+
+// =============================================================================
+// LOADING
+// =============================================================================
+
+function readQueryFile(queriesDir, file) {
+  const filePath = path.join(queriesDir, file);
+  if (!fs.existsSync(filePath)) {
+    throw queryError(file, `not found in ${queriesDir}`);
+  }
+  return parseDocument(fs.readFileSync(filePath, 'utf8'), file);
+}
+
+/**
+ * A list query pages one root connection by `after: $cursor`.
+ * Returns the document and the connection's node selections.
+ */
+function loadListQuery(queriesDir, file, rootField, requiredNodeFields) {
+  const doc = readQueryFile(queriesDir, file);
+  const root = requireField(file, doc.selections, rootField, 'query');
+  if (argValue(root, 'after') !== '$cursor') {
+    throw queryError(file, `"${rootField}" must take "after: $cursor"`);
+  }
+  const { nodes } = readConnection(file, root, 'query', requiredNodeFields);
+  return { query: printDocument(doc), nodes };
+}
+
+function loadOrderListQuery(queriesDir, file, rootField) {
+  const { query, nodes } = loadListQuery(queriesDir, file, rootField, ['id', 'visualId']);
+  const timestamps = requireField(file, nodes, 'timestamps', `${rootField}.nodes`);
+  requireField(file, timestamps.selections, 'updatedAt', `${rootField}.nodes.timestamps`);
+  return query;
+}
+
+/**
+ * Load and validate every order query. Throws with the file name and the
+ * problem if anything is missing or malformed.
+ */
+function loadOrderQueries(queriesDir = DEFAULT_QUERIES_DIR) {
+  // Header: sent as written, with the root field swapped per order type
+  const headerFile = QUERY_FILES.header;
+  const headerDoc = readQueryFile(queriesDir, headerFile);
+  const headerRoot = requireOrderRoot(headerFile, headerDoc);
+  requireField(headerFile, headerRoot.selections, 'visualId', ORDER_ROOT_FIELD);
+
+  const header = (type) => printDocument({
+    ...headerDoc,
+    selections: [{ ...headerRoot, name: type }]
+  });
+
+  // Line items: lineItemGroups > imprints/lineItems > mockups
+  const lineItemsFile = QUERY_FILES.lineItems;
+  const lineItemsRoot = requireOrderRoot(lineItemsFile, readQueryFile(queriesDir, lineItemsFile));
+  const where = ORDER_ROOT_FIELD;
+
+  const groups = readConnection(lineItemsFile,
+    requireField(lineItemsFile, lineItemsRoot.selections, 'lineItemGroups', where), where);
+  const imprints = readConnection(lineItemsFile,
+    requireField(lineItemsFile, groups.nodes, 'imprints', 'lineItemGroups'), 'lineItemGroups');
+  const lineItems = readConnection(lineItemsFile,
+    requireField(lineItemsFile, groups.nodes, 'lineItems', 'lineItemGroups'), 'lineItemGroups');
+  const imprintMockups = readConnection(lineItemsFile,
+    requireField(lineItemsFile, imprints.nodes, 'mockups', 'imprints'), 'imprints', ['id', 'fullImageUrl']);
+  const lineItemMockups = readConnection(lineItemsFile,
+    requireField(lineItemsFile, lineItems.nodes, 'mockups', 'lineItems'), 'lineItems', ['id', 'fullImageUrl']);
+
+  // Financials: every paginated field under the root is followed generically
+  const financialsFile = QUERY_FILES.financials;
+  const financialsRoot = requireOrderRoot(financialsFile, readQueryFile(queriesDir, financialsFile));
+  const filesFinancial = {};
+  for (const field of financialsRoot.selections) {
+    if (field.kind !== 'field' || !field.selections) continue;
+    const { first, selection } = readConnection(financialsFile, field, where,
+      field.name === 'productionFiles' ? ['id', 'fileUrl'] : ['id']);
+    filesFinancial[field.name] = { first, selection };
+  }
+  ['productionFiles', 'fees', 'expenses', 'tasks', 'transactions'].forEach(name => {
+    if (!filesFinancial[name]) {
+      throw queryError(financialsFile, `missing required connection "${name}"`);
+    }
+  });
+
+  return {
+    listInvoices: loadOrderListQuery(queriesDir, QUERY_FILES.listInvoices, 'invoices'),
+    listQuotes: loadOrderListQuery(queriesDir, QUERY_FILES.listQuotes, 'quotes'),
+    header,
+    lineItemGroups: { first: groups.first, selection: groups.selection },
+    imprints: { first: imprints.first, selection: imprints.selection },
+    lineItems: { first: lineItems.first, selection: lineItems.selection },
+    imprintMockups: { first: imprintMockups.first, selection: imprintMockups.selection },
+    lineItemMockups: { first: lineItemMockups.first, selection: lineItemMockups.selection },
+    filesFinancial
+  };
+}
+
+/**
+ * Load and validate every account-wide list query.
+ * Returns { [entity]: { query, root, node, connections: { [field]: { first, selection } } } }.
+ */
+function loadEntityQueries(queriesDir = DEFAULT_QUERIES_DIR) {
+  const queries = {};
+  for (const [entity, spec] of Object.entries(ENTITY_QUERY_FILES)) {
+    const { query, nodes } = loadListQuery(queriesDir, spec.file, spec.root, spec.required);
+    const connections = {};
+    for (const [field, required] of Object.entries(spec.connections || {})) {
+      const where = `${spec.root}.nodes`;
+      const { first, selection } = readConnection(spec.file, requireField(spec.file, nodes, field, where), where, required);
+      connections[field] = { first, selection };
+    }
+    queries[entity] = { query, root: spec.root, node: spec.node, connections };
+  }
+  return queries;
+}
+
+/**
+ * Load and validate the account configuration query.
+ * Returns { query, records: [field], tables: { [field]: { pageQuery } } },
+ * keyed by the field's alias if it has one.
+ */
+function loadConfigQuery(queriesDir = DEFAULT_QUERIES_DIR) {
+  const file = CONFIG_QUERY_FILE;
+  const doc = readQueryFile(queriesDir, file);
+  if (doc.variables) throw queryError(file, 'must not declare variables');
+  requireField(file, doc.selections, 'account', 'query');
+
+  const records = [];
+  const tables = {};
+  for (const field of doc.selections) {
+    if (field.kind !== 'field' || !field.selections) {
+      throw queryError(file, 'every root field needs a selection set');
+    }
+    const key = field.alias || field.name;
+    if (!findField(field.selections, 'nodes')) {
+      records.push(key);
+      continue;
+    }
+
+    // Follow-up pages keep any other arguments (a status type filter, say)
+    const { first, selection } = readConnection(file, field, 'query');
+    const args = [`first: ${first}`, 'after: $cursor', ...field.args
+      .filter(a => a.name !== 'first' && a.name !== 'after')
+      .map(a => `${a.name}: ${a.value}`)];
+    tables[key] = {
+      pageQuery: `query GetConfigPage($cursor: String) { ${key}: ${field.name}(${args.join(', ')}) { nodes { ${selection} } pageInfo { hasNextPage endCursor } } }`
+    };
+  }
+
+  return { query: printDocument(doc), records, tables };
+}
+
+module.exports = {
+  DEFAULT_QUERIES_DIR,
+  QUERY_FILES,
+  ENTITY_QUERY_FILES,
+  CONFIG_QUERY_FILE,
+  parseDocument,
+  printSelections,
+  printDocument,
+  loadOrderQueries,
+  loadEntityQueries,
+  loadConfigQuery
+};
@@ -0,0 +1,277 @@
+/**
+ * GraphQL Replay
+ *
+ * Answers Printavo GraphQL queries from saved records instead of the API:
+ * just enough of an executor for the queries in queries/ and the ones
+ * extract-all-data.js builds from them. Used by replay-server.js (the
+ * extracted backup) and the test suite's mock Printavo (fixtures).
+ *
+ * Records are in the loaded-backup shape (see data-loader.js): connections
+ * are plain arrays, paged here with first/after and opaque cursors. Fields
+ * a record doesn't have resolve to null; arguments that can't be honored
+ * (filters, other sort orders) are QueryErrors rather than silently
+ * different answers.
+ */
+
+const { parseDocument } = require('./graphql-queries');
+
+const DEFAULT_PAGE_SIZE = 25;
+
+// Account-wide lists: root field -> combined file written by extract-all-data.js
+const LIST_FILES = {
+  customers: 'customers.json',
+  contacts: 'contacts.json',
+  products: 'products.json',
+  threads: 'threads.json',
+  inquiries: 'inquiries.json',
+  paymentRequests: 'payment_requests.json',
+  merchStores: 'merch_stores.json',
+  merchOrders: 'merch_orders.json',
+  statuses: 'statuses.json',
+  users: 'users.json',
+  typesOfWork: 'types_of_work.json',
+  categories: 'categories.json',
+  deliveryMethods: 'delivery_methods.json',
+  paymentTerms: 'payment_terms.json'
+};
+
+const RECORD_FILES = {
+  account: 'account.json',
+  user: 'user.json'
+};
+
+// By-ID root fields -> the list they look records up in
+const NODE_LISTS = {
+  invoice: 'invoices',
+  quote: 'quotes',
+  lineItemGroup: 'lineItemGroups',
+  lineItem: 'lineItems',
+  imprint: 'imprints',
+  customer: 'customers',
+  contact: 'contacts',
+  product: 'products',
+  thread: 'threads',
+  inquiry: 'inquiries',
+  paymentRequest: 'paymentRequests',
+  merchStore: 'merchStores',
+  merchOrder: 'merchOrders'
+};
+
+// Order list arguments the replay honors
+const ORDER_SORT_FIELDS = {
+  VISUAL_ID: order => order.visualId
+};
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+class QueryError extends Error {}
+
+function encodeCursor(index) {
+  return Buffer.from(`arrayconnection:${index}`).toString('base64');
+}
+
+function decodeCursor(cursor) {
+  const match = Buffer.from(String(cursor), 'base64').toString().match(/^arrayconnection:(\d+)$/);
+  if (!match) throw new QueryError(`Invalid cursor "${cursor}"`);
+  return Number(match[1]);
+}
+
+/**
+ * Value of an argument as parsed by graphql-queries.js: $variables,
+ * strings, numbers, booleans and null; anything else is an enum name.
+ */
+function argumentValue(raw, variables) {
+  if (raw.startsWith('$')) return variables[raw.slice(1)] ?? null;
+  if (raw.startsWith('"')) return JSON.parse(raw);
+  if (raw === 'true' || raw === 'false') return raw === 'true';
+  if (raw === 'null') return null;
+  if (/^-?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(raw)) return Number(raw);
+  return raw;
+}
+
+function fieldArguments(field, variables) {
+  return Object.fromEntries(field.args.map(arg => [arg.name, argumentValue(arg.value, variables)]));
+}
+
+function rejectUnsupported(field, args, supported) {
+  const unsupported = Object.keys(args).filter(name => !supported.includes(name));
+  if (unsupported.length > 0) {
+    throw new QueryError(`Argument "${unsupported[0]}" on "${field.name}" is not supported by the replay server`);
+  }
+}
+
+// =============================================================================
+// DATA
+// =============================================================================
+
+/**
+ * Index saved records for execute(): invoices and quotes (arrays of
+ * orders), lists keyed by LIST_FILES root field and records keyed by
+ * RECORD_FILES root field. Missing lists answer with an error.
+ */
+function createReplayData({ invoices = [], quotes = [], lists = {}, records = {} }) {
+  const all = { ...lists, invoices, quotes };
+
+  // The nested records the extractor pages through by ID
+  all.lineItemGroups = [];
+  all.lineItems = [];
+  all.imprints = [];
+  for (const order of [...invoices, ...quotes]) {
+    for (const group of order.lineItemGroups || []) {
+      all.lineItemGroups.push(group);
+      all.lineItems.push(...(group.lineItems || []));
+      all.imprints.push(...(group.imprints || []));
+    }
+  }
+
+  const nodes = {};
+  for (const [field, list] of Object.entries(NODE_LISTS)) {
+    nodes[field] = new Map((all[list] || []).map(record => [String(record.id), record]));
+  }
+
+  return { lists: all, records, nodes };
+}
+
+// =============================================================================
+// EXECUTION
+// =============================================================================
+
+/**
+ * A page of `items` for a connection field: first/after, plus totalNodes
+ */
+function connectionPage(field, items, args, variables) {
+  const first = args.first ?? DEFAULT_PAGE_SIZE;
+  if (!Number.isInteger(first) || first < 0) throw new QueryError(`"first" on "${field.name}" must be a non-negative integer`);
+
+  const start = args.after ? decodeCursor(args.after) + 1 : 0;
+  const page = items.slice(start, start + first);
+  const connection = {
+    nodes: page,
+    pageInfo: {
+      hasNextPage: start + first < items.length,
+      hasPreviousPage: start > 0,
+      startCursor: page.length > 0 ? encodeCursor(start) : null,
+      endCursor: page.length > 0 ? encodeCursor(start + page.length - 1) : null
+    },
+    totalNodes: items.length
+  };
+  return resolveSelections(field.selections, connection, variables);
+}
+
+function isConnection(field) {
+  return (field.selections || []).some(s => s.kind === 'field' && (s.name === 'nodes' || s.name === 'pageInfo'));
+}
+
+/**
+ * Pick the selected fields out of a saved record. Inline fragments apply
+ * when the record's __typename matches, or always if it wasn't saved.
+ */
+function resolveSelections(selections, value, variables) {
+  if (value === null || value === undefined) return null;
+  if (Array.isArray(value)) return value.map(item => resolveSelections(selections, item, variables));
+
+  const result = {};
+  for (const selection of selections) {
+    if (selection.kind === 'inline') {
+      if (!value.__typename || value.__typename === selection.typeCondition) {
+        Object.assign(result, resolveSelections(selection.selections, value, variables));
+      }
+      continue;
+    }
+
+    const key = selection.alias || selection.name;
+    const child = value[selection.name];
+
+    if (selection.name === '__typename') {
+      result[key] = value.__typename ?? null;
+    } else if (isConnection(selection) && Array.isArray(child)) {
+      const args = fieldArguments(selection, variables);
+      rejectUnsupported(selection, args, ['first', 'after']);
+      result[key] = connectionPage(selection, child, args, variables);
+    } else if (selection.selections) {
+      result[key] = resolveSelections(selection.selections, child, variables);
+    } else {
+      result[key] = child === undefined ? null : child;
+    }
+  }
+  return result;
+}
+
+function resolveRootField(field, data, variables) {
+  const args = fieldArguments(field, variables);
+
+  if (field.name === '__typename') return 'Query';
+
+  if (field.name === 'invoices' || field.name === 'quotes') {
+    rejectUnsupported(field, args, ['first', 'after', 'sortOn', 'sortDescending']);
+    let orders = data.lists[field.name];
+    if (args.sortOn) {
+      const key = ORDER_SORT_FIELDS[args.sortOn];
+      if (!key) throw new QueryError(`sortOn: ${args.sortOn} is not supported by the replay server (only ${Object.keys(ORDER_SORT_FIELDS).join(', ')})`);
+      orders = [...orders].sort((a, b) => String(key(a)).localeCompare(String(key(b)), undefined, { numeric: true }));
+    }
+    if (args.sortDescending) orders = [...orders].reverse();
+    return connectionPage(field, orders, args, variables);
+  }
+
+  if (field.name in LIST_FILES) {
+    rejectUnsupported(field, args, ['first', 'after']);
+    const list = data.lists[field.name];
+    if (!list) throw new QueryError(`"${field.name}" was not extracted into this backup`);
+    return connectionPage(field, list, args, variables);
+  }
+
+  if (field.name in RECORD_FILES) {
+    const record = data.records[field.name];
+    if (!record) throw new QueryError(`"${field.name}" was not extracted into this backup`);
+    return resolveSelections(field.selections, record, variables);
+  }
+
+  if (field.name in NODE_LISTS) {
+    rejectUnsupported(field, args, ['id']);
+    const record = data.nodes[field.name].get(String(args.id));
+    if (!record) throw new QueryError(`${field.name} ${args.id} not found`);
+    return resolveSelections(field.selections, record, variables);
+  }
+
+  throw new QueryError(`Field "${field.name}" doesn't exist on type "Query" in the replay server`);
+}
+
+/**
+ * Run one request. Each root field fails on its own: it resolves to null
+ * with an entry in `errors`, like the real API's partial responses.
+ */
+function execute(query, variables, data) {
+  let doc;
+  try {
+    doc = parseDocument(query, 'request');
+  } catch (err) {
+    return { errors: [{ message: err.message }] };
+  }
+
+  const result = {};
+  const errors = [];
+  for (const field of doc.selections) {
+    const key = field.alias || field.name;
+    try {
+      if (field.kind !== 'field') throw new QueryError('Fragments are not supported at the root');
+      result[key] = resolveRootField(field, data, variables || {});
+    } catch (err) {
+      if (!(err instanceof QueryError)) throw err;
+      result[key] = null;
+      errors.push({ message: err.message, path: [key] });
+    }
+  }
+
+  return errors.length > 0 ? { data: result, errors } : { data: result };
+}
+
+module.exports = {
+  LIST_FILES,
+  RECORD_FILES,
+  QueryError,
+  createReplayData,
+  execute
+};
@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+/**
+ * Printavo Replay Server
+ *
+ * Answers Printavo GraphQL queries from the extracted backup, so scripts and
+ * integrations written against the API can still be run and tested after
+ * the account is closed. Point PRINTAVO_API at it - this extractor included.
+ *
+ * Supported root fields:
+ * - invoices, quotes         first/after cursor pagination, sortOn: VISUAL_ID,
+ *                            sortDescending
+ * - invoice(id), quote(id)   and lineItemGroup, lineItem, imprint(id) for the
+ *                            nested pages the extractor follows
+ * - customers, contacts, products, threads, inquiries, paymentRequests,
+ *   merchStores, merchOrders and the configuration tables (statuses, users...),
+ *   plus account, user and a by-ID query for each record type
+ *
+ * Every nested connection (lineItemGroups, mockups, transactions...) pages
+ * with first/after too. Fields the backup doesn't have resolve to null;
+ * arguments the replay can't honor (filters, other sort orders) are errors
+ * rather than silently different answers. Requests need the email and token
+ * headers; with --email/--token they must also match.
+ *
+ * Usage:
+ *   node scripts/replay-server.js [--port 4000] [--email x --token y] [--verbose]
+ *
+ * Then set PRINTAVO_API: 'http://localhost:4000/api/v2' in config.js.
+ */
+
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { resolveDataDir, loadOrders, unwrapConnections } = require('./lib/data-loader');
+const { LIST_FILES, RECORD_FILES, createReplayData, execute } = require('./lib/graphql-replay');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const DATA_DIR = resolveDataDir();
+
+let OPTIONS;
+try {
+  OPTIONS = parseArgs({
+    options: {
+      port: { type: 'string', default: '4000' },
+      email: { type: 'string' },
+      token: { type: 'string' },
+      verbose: { type: 'boolean' }
+    }
+  }).values;
+} catch (err) {
+  console.error(`ERROR: ${err.message}`);
+  process.exit(1);
+}
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+function log(message) {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`);
+}
+
+function logError(message) {
+  const timestamp = new Date().toISOString();
+  console.error(`[${timestamp}] ERROR: ${message}`);
+}
+
+// =============================================================================
+// BACKUP
+// =============================================================================
+
+function readList(file) {
+  const filePath = path.join(DATA_DIR, file);
+  if (!fs.existsSync(filePath)) return null;
+  return unwrapConnections(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+function loadReplayData() {
+  const onError = (name, err) => logError(`Failed to load ${name}: ${err.message}`);
+  const lists = {};
+  for (const [field, file] of Object.entries(LIST_FILES)) {
+    lists[field] = readList(file);
+  }
+  const records = {};
+  for (const [field, file] of Object.entries(RECORD_FILES)) {
+    records[field] = readList(file);
+  }
+
+  return createReplayData({
+    invoices: loadOrders(DATA_DIR, 'invoices', onError) || [],
+    quotes: loadOrders(DATA_DIR, 'quotes', onError) || [],
+    lists,
+    records
+  });
+}
+
+// =============================================================================
+// SERVER
+// =============================================================================
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function authorized(req) {
+  const { email, token } = req.headers;
+  if (!email || !token) return false;
+  if (OPTIONS.email && email !== OPTIONS.email) return false;
+  if (OPTIONS.token && token !== OPTIONS.token) return false;
+  return true;
+}
+
+function handleRequest(req, res, data) {
+  if (req.method !== 'POST') {
+    send(res, 405, { errors: [{ message: 'Send GraphQL queries as POST requests' }] });
+    return;
+  }
+  if (!authorized(req)) {
+    send(res, 401, { errors: [{ message: 'Unauthorized: email and token headers required' }] });
+    return;
+  }
+
+  const chunks = [];
+  let size = 0;
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      send(res, 413, { errors: [{ message: 'Request body too large' }] });
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+
+  req.on('end', () => {
+    const started = Date.now();
+    let body;
+    try {
+      body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (err) {
+      send(res, 400, { errors: [{ message: `Invalid JSON body: ${err.message}` }] });
+      return;
+    }
+    if (typeof body.query !== 'string') {
+      send(res, 400, { errors: [{ message: 'Missing "query"' }] });
+      return;
+    }
+
+    try {
+      const result = execute(body.query, body.variables, data);
+      send(res, 200, result);
+      if (OPTIONS.verbose) {
+        const roots = Object.keys(result.data || {}).join(', ') || 'invalid query';
+        log(`${roots} (${Date.now() - started}ms)${result.errors ? ` - ${result.errors.map(e => e.message).join('; ')}` : ''}`);
+      }
+    } catch (err) {
+      logError(`Request failed: ${err.stack}`);
+      send(res, 500, { errors: [{ message: 'Internal server error' }] });
+    }
+  });
+}
+
+function startServer() {
+  log('╔════════════════════════════════════════════════════════════╗');
+  log('║            PRINTAVO REPLAY SERVER                          ║');
+  log('╚════════════════════════════════════════════════════════════╝');
+
+  const port = Number(OPTIONS.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    logError(`Invalid --port "${OPTIONS.port}"`);
+    process.exit(1);
+  }
+
+  log(`\nLoading backup from ${DATA_DIR}...`);
+  const data = loadReplayData();
+  if (data.lists.invoices.length === 0 && data.lists.quotes.length === 0) {
+    logError(`No orders found in ${DATA_DIR} - run extract-all-data.js first`);
+    process.exit(1);
+  }
+
+  const server = http.createServer((req, res) => handleRequest(req, res, data));
+  server.on('error', err => {
+    logError(`Server error: ${err.message}`);
+    process.exit(1);
+  });
+
+  server.listen(port, () => {
+    const lists = Object.keys(LIST_FILES).filter(field => data.lists[field]);
+    log(`Serving ${data.lists.invoices.length} invoices, ${data.lists.quotes.length} quotes`);
+    log(`Account-wide lists: ${lists.join(', ') || 'none'}`);
+    log(`\nPRINTAVO_API: 'http://localhost:${server.address().port}/api/v2'`);
+    log(OPTIONS.email || OPTIONS.token
+      ? 'Requests must send the configured email and token headers'
+      : 'Any email and token headers are accepted (use --email/--token to require specific ones)');
+  });
+
+  process.on('SIGINT', () => {
+    log('Shutting down');
+    server.close(() => process.exit(0));
+  });
+}
+
+// =============================================================================
+// ENTRY POINT
+// =============================================================================
+
+startServer();
@@ -7,6 +7,7 @@
 # Usage:
 #   ./run-extract.sh                    # Run in foreground
 #   nohup ./run-extract.sh >> extract.log 2>&1 &   # Run in background
+#   ./run-extract.sh --incremental      # Arguments are passed to extract-all-data.js
 #
 # Environment variables:
 #   PRINTAVO_EMAIL - Your Printavo account email
@@ -72,7 +73,7 @@ while true; do
     
     # Run the extraction script
     set +e
-    PRINTAVO_EMAIL="${PRINTAVO_EMAIL}" PRINTAVO_TOKEN="${PRINTAVO_TOKEN}" node "${EXTRACT_SCRIPT}"
+    PRINTAVO_EMAIL="${PRINTAVO_EMAIL}" PRINTAVO_TOKEN="${PRINTAVO_TOKEN}" node "${EXTRACT_SCRIPT}" "$@"
     EXIT_CODE=$?
     set -e
     
@@ -0,0 +1,356 @@
+#!/usr/bin/env node
+/**
+ * Printavo Backup Search
+ *
+ * Finds orders in the extracted backup without grepping JSON. The first run
+ * builds an index of every invoice and quote (data/search-index.json); later
+ * runs reuse it until an order file or url-mapping.csv changes.
+ *
+ * Usage:
+ *   node scripts/search.js [options] [text]
+ *
+ * Text matches the visual ID, nickname, customer, contact, email, PO number,
+ * tags, line item descriptions and notes. Options narrow it further:
+ *   --customer <text>    company or contact name
+ *   --email <text>       contact email
+ *   --nickname <text>
+ *   --tag <tag>          exact tag; repeat to require several
+ *   --status <name>      exact status name
+ *   --type <type>        invoice or quote
+ *   --id <visualId>      exact visual ID
+ *   --note <text>        production or customer note
+ *   --from <YYYY-MM-DD>  invoice date (created date for quotes) on or after
+ *   --to <YYYY-MM-DD>    ... on or before
+ *   --min <amount>       total at least
+ *   --max <amount>       total at most
+ *   --files              list each order's artwork and where it was saved
+ *   --limit <n>          show at most n orders (default 50, 0 for all)
+ *   --json               print matches as JSON
+ *   --rebuild            rebuild the index first
+ *
+ * Example:
+ *   node scripts/search.js --customer acme --from 2023-01-01 --files
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { ORDER_DIRS, URL_MAPPING_FILE, resolveDataDir, loadOrders, loadUrlMapping } = require('./lib/data-loader');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const DATA_DIR = resolveDataDir();
+const INDEX_FILE = path.join(DATA_DIR, 'search-index.json');
+
+// Bump when the entry format changes, so old caches are rebuilt
+const INDEX_VERSION = 1;
+
+const OPTIONS = {
+  customer: { type: 'string' },
+  email: { type: 'string' },
+  nickname: { type: 'string' },
+  tag: { type: 'string', multiple: true },
+  status: { type: 'string' },
+  type: { type: 'string' },
+  id: { type: 'string' },
+  note: { type: 'string' },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  min: { type: 'string' },
+  max: { type: 'string' },
+  files: { type: 'boolean' },
+  limit: { type: 'string', default: '50' },
+  json: { type: 'boolean' },
+  rebuild: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+// Status messages go to stderr so results can be piped
+function log(message) {
+  const timestamp = new Date().toISOString();
+  console.error(`[${timestamp}] ${message}`);
+}
+
+function logError(message) {
+  const timestamp = new Date().toISOString();
+  console.error(`[${timestamp}] ERROR: ${message}`);
+}
+
+function formatDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date) ? date.toISOString().slice(0, 10) : null;
+}
+
+function formatMoney(value) {
+  return typeof value === 'number' ? `$${value.toFixed(2)}` : '';
+}
+
+function contains(value, query) {
+  return String(value || '').toLowerCase().includes(query.toLowerCase());
+}
+
+function printUsage() {
+  const source = fs.readFileSync(__filename, 'utf8');
+  const usage = source.slice(source.indexOf(' * Usage:'), source.indexOf(' */'));
+  console.log(usage.replace(/^ \* ?/gm, ''));
+}
+
+// =============================================================================
+// INDEX
+// =============================================================================
+
+/**
+ * What the index was built from: order file count and newest change per
+ * directory, plus url-mapping.csv. A different signature means rebuild.
+ */
+function sourceSignature() {
+  const signature = {};
+
+  for (const dirName of Object.values(ORDER_DIRS)) {
+    const dir = path.join(DATA_DIR, dirName);
+    let count = 0;
+    let newest = 0;
+    if (fs.existsSync(dir)) {
+      for (const file of fs.readdirSync(dir)) {
+        if (!file.endsWith('.json')) continue;
+        count++;
+        newest = Math.max(newest, fs.statSync(path.join(dir, file)).mtimeMs);
+      }
+    }
+    signature[dirName] = { count, newest };
+  }
+
+  const mappingPath = path.join(DATA_DIR, URL_MAPPING_FILE);
+  signature[URL_MAPPING_FILE] = fs.existsSync(mappingPath) ? fs.statSync(mappingPath).mtimeMs : null;
+
+  return signature;
+}
+
+/**
+ * Every file an order links to, with its local path once downloaded
+ */
+function orderFiles(order, urlMapping) {
+  const files = [];
+  const add = (kind, name, url) => {
+    if (!url) return;
+    const mapped = urlMapping.get(url);
+    files.push({ kind, name, url, localPath: mapped ? mapped.localPath : null });
+  };
+
+  for (const group of order.lineItemGroups || []) {
+    for (const item of group.lineItems || []) {
+      for (const mockup of item.mockups || []) add('line-item-mockup', `mockup-${mockup.id}`, mockup.fullImageUrl);
+    }
+    for (const imprint of group.imprints || []) {
+      for (const mockup of imprint.mockups || []) add('imprint-mockup', `mockup-${mockup.id}`, mockup.fullImageUrl);
+    }
+  }
+  for (const file of order.productionFiles || []) add('production-file', file.name, file.fileUrl);
+
+  return files;
+}
+
+function indexEntry(order, type, urlMapping) {
+  const customer = order.contact?.customer?.companyName || null;
+  const tags = Array.isArray(order.tags) ? order.tags : [];
+  const descriptions = (order.lineItemGroups || [])
+    .flatMap(group => (group.lineItems || []).map(item => [item.description, item.itemNumber, item.color].filter(Boolean).join(' ')));
+
+  return {
+    type,
+    visualId: String(order.visualId),
+    nickname: order.nickname || null,
+    customer,
+    contact: order.contact?.fullName || null,
+    email: order.contact?.email || null,
+    status: order.status?.name || null,
+    tags,
+    date: formatDate(type === 'invoice' ? order.invoiceAt || order.timestamps?.createdAt || order.createdAt
+      : order.timestamps?.createdAt || order.createdAt),
+    total: order.total === null || order.total === undefined ? null : Number(order.total),
+    amountOutstanding: order.amountOutstanding === null || order.amountOutstanding === undefined ? null : Number(order.amountOutstanding),
+    productionNote: order.productionNote || null,
+    customerNote: order.customerNote || null,
+    text: [order.visualId, order.nickname, customer, order.contact?.fullName, order.contact?.email,
+      order.visualPoNumber, order.productionNote, order.customerNote, ...tags, ...descriptions]
+      .filter(Boolean).join('\n').toLowerCase(),
+    files: orderFiles(order, urlMapping)
+  };
+}
+
+function buildIndex(signature) {
+  log(`Building search index from ${DATA_DIR}...`);
+  const urlMapping = loadUrlMapping(DATA_DIR);
+  const entries = [];
+
+  for (const [type, dirName] of [['invoice', ORDER_DIRS.invoices], ['quote', ORDER_DIRS.quotes]]) {
+    const orders = loadOrders(DATA_DIR, dirName, (name, err) => logError(`Failed to load ${name}: ${err.message}`)) || [];
+    for (const order of orders) {
+      entries.push(indexEntry(order, type, urlMapping));
+    }
+  }
+
+  const index = { version: INDEX_VERSION, builtAt: new Date().toISOString(), signature, entries };
+  fs.writeFileSync(INDEX_FILE, JSON.stringify(index));
+  log(`Indexed ${entries.length} orders`);
+  return index;
+}
+
+/**
+ * The cached index, rebuilt when the backup has changed since
+ */
+function loadIndex(rebuild) {
+  const signature = sourceSignature();
+
+  if (!rebuild && fs.existsSync(INDEX_FILE)) {
+    try {
+      const index = JSON.parse(fs.readFileSync(INDEX_FILE, 'utf8'));
+      if (index.version === INDEX_VERSION && JSON.stringify(index.signature) === JSON.stringify(signature)) {
+        return index;
+      }
+      log('Backup changed since the search index was built');
+    } catch (e) {
+      log(`Search index unreadable (${e.message})`);
+    }
+  }
+
+  return buildIndex(signature);
+}
+
+// =============================================================================
+// SEARCH
+// =============================================================================
+
+/**
+ * Predicates for every given option; an entry matches when all pass
+ */
+function buildFilters(values, text) {
+  const filters = [];
+  const number = name => {
+    const value = Number(values[name]);
+    if (!Number.isFinite(value)) throw new Error(`--${name} must be a number`);
+    return value;
+  };
+  const date = name => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(values[name])) throw new Error(`--${name} must be a date (YYYY-MM-DD)`);
+    return values[name];
+  };
+
+  if (text) filters.push(entry => entry.text.includes(text.toLowerCase()));
+  if (values.customer) filters.push(entry => contains(entry.customer, values.customer) || contains(entry.contact, values.customer));
+  if (values.email) filters.push(entry => contains(entry.email, values.email));
+  if (values.nickname) filters.push(entry => contains(entry.nickname, values.nickname));
+  if (values.note) filters.push(entry => contains(entry.productionNote, values.note) || contains(entry.customerNote, values.note));
+  if (values.id) filters.push(entry => entry.visualId === values.id.replace(/^#/, ''));
+  if (values.status) filters.push(entry => (entry.status || '').toLowerCase() === values.status.toLowerCase());
+  if (values.tag) {
+    const tags = values.tag.map(tag => tag.toLowerCase());
+    filters.push(entry => tags.every(tag => entry.tags.some(t => t.toLowerCase() === tag)));
+  }
+  if (values.type) {
+    if (!['invoice', 'quote'].includes(values.type)) throw new Error('--type must be invoice or quote');
+    filters.push(entry => entry.type === values.type);
+  }
+  if (values.from) {
+    const from = date('from');
+    filters.push(entry => entry.date !== null && entry.date >= from);
+  }
+  if (values.to) {
+    const to = date('to');
+    filters.push(entry => entry.date !== null && entry.date <= to);
+  }
+  if (values.min) {
+    const min = number('min');
+    filters.push(entry => entry.total !== null && entry.total >= min);
+  }
+  if (values.max) {
+    const max = number('max');
+    filters.push(entry => entry.total !== null && entry.total <= max);
+  }
+
+  return filters;
+}
+
+function printEntry(entry, showFiles) {
+  const who = [entry.customer, entry.contact].filter(Boolean).join(' / ');
+  const columns = [
+    `${entry.type === 'quote' ? 'Quote' : 'Invoice'} #${entry.visualId}`.padEnd(16),
+    (entry.date || '').padEnd(10),
+    formatMoney(entry.total).padStart(11),
+    (entry.status || '').padEnd(14),
+    who
+  ];
+  console.log(columns.join('  '));
+
+  const details = [
+    entry.nickname && `"${entry.nickname}"`,
+    entry.email,
+    entry.tags.length > 0 && `tags: ${entry.tags.join(', ')}`
+  ].filter(Boolean);
+  if (details.length > 0) console.log(`    ${details.join('  ')}`);
+
+  if (showFiles) {
+    if (entry.files.length === 0) console.log('    (no files)');
+    for (const file of entry.files) {
+      const where = file.localPath ? path.join(DATA_DIR, file.localPath) : `not downloaded: ${file.url}`;
+      console.log(`    ${file.kind.padEnd(17)} ${where}`);
+    }
+  }
+}
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+function search() {
+  const { values, positionals } = parseArgs({ options: OPTIONS, allowPositionals: true });
+  if (values.help) {
+    printUsage();
+    return;
+  }
+
+  const limit = Number(values.limit);
+  if (!Number.isInteger(limit) || limit < 0) throw new Error('--limit must be a whole number');
+  const filters = buildFilters(values, positionals.join(' ').trim());
+
+  if (!fs.existsSync(DATA_DIR)) {
+    throw new Error(`No backup found in ${DATA_DIR} - run extract-all-data.js first`);
+  }
+  const index = loadIndex(values.rebuild);
+
+  const matches = index.entries
+    .filter(entry => filters.every(filter => filter(entry)))
+    .sort((a, b) => (b.date || '').localeCompare(a.date || '') || b.visualId.localeCompare(a.visualId, undefined, { numeric: true }));
+  const shown = limit > 0 ? matches.slice(0, limit) : matches;
+
+  if (values.json) {
+    console.log(JSON.stringify(shown.map(({ text, ...entry }) => ({
+      ...entry,
+      files: values.files ? entry.files.map(file => ({ ...file, localPath: file.localPath && path.join(DATA_DIR, file.localPath) })) : undefined
+    })), null, 2));
+    return;
+  }
+
+  for (const entry of shown) {
+    printEntry(entry, values.files);
+  }
+  console.log(`\n${matches.length} of ${index.entries.length} orders match` +
+    (shown.length < matches.length ? ` (showing ${shown.length}; use --limit 0 for all)` : ''));
+}
+
+// =============================================================================
+// ENTRY POINT
+// =============================================================================
+
+try {
+  search();
+} catch (err) {
+  logError(err.message);
+  process.exit(1);
+}
@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+/**
+ * Printavo File Verification
+ *
+ * Re-checks the files download-files.js saved against the extracted data.
+ * Run this AFTER download-files.js, and again before relying on a copy of
+ * the backup.
+ *
+ * Walks every file URL in the order and thread JSON and every row of
+ * url-mapping.csv, and reports:
+ * - missing       referenced files never downloaded, or gone from disk
+ * - corrupt       files that are empty, not the recorded size or SHA-256,
+ *                 or whose bytes don't fit their extension (an HTML error
+ *                 page saved as .pdf)
+ * - orphaned      url-mapping.csv rows for URLs no order or thread references
+ * - unreferenced  files under files/ that no url-mapping.csv row points to
+ *
+ * Every problem is also written to file-verification.json. Exits with code 1
+ * if anything is wrong, so it can gate a scheduled backup.
+ *
+ * Usage:
+ *   node scripts/verify-files.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { resolveDataDir, loadUrlMapping } = require('./lib/data-loader');
+const { extractAllUrls } = require('./lib/file-urls');
+const { matchesExtension, sniffExtension, readHead } = require('./lib/file-types');
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+const DATA_DIR = resolveDataDir();
+const FILES_DIR = path.join(DATA_DIR, 'files');
+// download-files.js keeps partial downloads here; they aren't backup files yet
+const TMP_DIR = path.join(FILES_DIR, '.tmp');
+const REPORT_FILE = path.join(DATA_DIR, 'file-verification.json');
+
+const PROBLEM_TYPES = ['missing', 'corrupt', 'orphaned', 'unreferenced'];
+
+// =============================================================================
+// UTILITY FUNCTIONS
+// =============================================================================
+
+function log(message) {
+  const timestamp = new Date().toISOString();
+  console.log(`[${timestamp}] ${message}`);
+}
+
+function logError(message) {
+  const timestamp = new Date().toISOString();
+  console.error(`[${timestamp}] ERROR: ${message}`);
+}
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Every file under dir, as paths relative to DATA_DIR
+ */
+function listFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (fullPath !== TMP_DIR) files.push(...listFiles(fullPath));
+    } else {
+      files.push(path.relative(DATA_DIR, fullPath).split(path.sep).join('/'));
+    }
+  }
+  return files;
+}
+
+// =============================================================================
+// CHECKS
+// =============================================================================
+
+/**
+ * Check one stored file against its mapping row. Returns null if it is
+ * fine, or { type, reason }.
+ */
+async function checkStoredFile({ localPath, sha256, size }) {
+  const filePath = path.join(DATA_DIR, localPath);
+  if (!fs.existsSync(filePath)) {
+    return { type: 'missing', reason: `${localPath} not found` };
+  }
+
+  const actualSize = fs.statSync(filePath).size;
+  if (actualSize === 0) {
+    return { type: 'corrupt', reason: 'empty file' };
+  }
+  if (size !== null && actualSize !== size) {
+    return { type: 'corrupt', reason: `${actualSize} bytes, expected ${size}` };
+  }
+  if (sha256 && await hashFile(filePath) !== sha256) {
+    return { type: 'corrupt', reason: 'SHA-256 does not match url-mapping.csv' };
+  }
+
+  const ext = path.extname(localPath).toLowerCase();
+  const head = readHead(filePath);
+  if (!matchesExtension(ext, head)) {
+    const sniffed = sniffExtension(head);
+    return { type: 'corrupt', reason: `not a valid ${ext} file${sniffed ? ` (contents look like ${sniffed})` : ''}` };
+  }
+
+  return null;
+}
+
+/**
+ * Check every referenced URL, mapping row and stored file. Returns
+ * { problems, summary }.
+ */
+async function verifyFiles(allUrls, mapping) {
+  const problems = [];
+
+  // Every reference to each URL, so a problem can name all the orders it affects
+  const references = new Map();
+  for (const [bucket, urls] of Object.entries(allUrls)) {
+    for (const { url, visualId } of urls) {
+      if (!references.has(url)) references.set(url, { url, bucket, visualIds: [] });
+      const reference = references.get(url);
+      if (visualId && !reference.visualIds.includes(visualId)) reference.visualIds.push(visualId);
+    }
+  }
+
+  // Stored files shared by several URLs are only checked once
+  const checked = new Map();
+  let verified = 0;
+
+  for (const { url, bucket, visualIds } of references.values()) {
+    const row = mapping.get(url);
+    if (!row) {
+      problems.push({ type: 'missing', url, bucket, visualIds, path: null, reason: 'not downloaded' });
+      continue;
+    }
+
+    if (!checked.has(row.localPath)) {
+      checked.set(row.localPath, await checkStoredFile(row));
+    }
+    const problem = checked.get(row.localPath);
+    if (problem) {
+      problems.push({ ...problem, url, bucket, visualIds, path: row.localPath });
+    } else {
+      verified++;
+    }
+  }
+
+  for (const [url, row] of mapping) {
+    if (!references.has(url)) {
+      problems.push({
+        type: 'orphaned',
+        url,
+        bucket: row.bucket,
+        visualIds: row.visualId ? [row.visualId] : [],
+        path: row.localPath,
+        reason: 'no order or thread references this URL'
+      });
+    }
+  }
+
+  const mappedPaths = new Set([...mapping.values()].map(row => row.localPath));
+  const storedFiles = listFiles(FILES_DIR);
+  for (const file of storedFiles) {
+    if (!mappedPaths.has(file)) {
+      problems.push({ type: 'unreferenced', url: null, bucket: null, visualIds: [], path: file, reason: 'not in url-mapping.csv' });
+    }
+  }
+
+  const summary = {
+    references: references.size,
+    mappingRows: mapping.size,
+    storedFiles: storedFiles.length,
+    verified
+  };
+  for (const type of PROBLEM_TYPES) {
+    summary[type] = problems.filter(problem => problem.type === type).length;
+  }
+
+  return { problems, summary };
+}
+
+// =============================================================================
+// MAIN VERIFICATION LOGIC
+// =============================================================================
+
+async function main() {
+  log('╔════════════════════════════════════════════════════════════╗');
+  log('║            PRINTAVO FILE VERIFICATION                      ║');
+  log('╚════════════════════════════════════════════════════════════╝');
+
+  log(`\nReading file references from ${DATA_DIR}...`);
+  const allUrls = extractAllUrls(DATA_DIR, (file, err) => logError(`Failed to parse ${file}: ${err.message}`));
+  const mapping = loadUrlMapping(DATA_DIR);
+
+  const referenceCount = Object.values(allUrls).reduce((sum, urls) => sum + urls.length, 0);
+  if (referenceCount === 0 && mapping.size === 0) {
+    logError(`No file references found in ${DATA_DIR} - run extract-all-data.js first`);
+    process.exit(1);
+  }
+  log(`Found ${referenceCount} file references and ${mapping.size} url-mapping.csv rows`);
+
+  log('\nChecking files (sizes, SHA-256 hashes, file types)...');
+  const { problems, summary } = await verifyFiles(allUrls, mapping);
+
+  for (const problem of problems) {
+    const orders = problem.visualIds.length > 0 ? ` [${problem.visualIds.join(', ')}]` : '';
+    logError(`${problem.type.toUpperCase()}${orders} ${problem.url || problem.path}: ${problem.reason}`);
+  }
+
+  fs.writeFileSync(REPORT_FILE, JSON.stringify({ generatedAt: new Date().toISOString(), summary, problems }, null, 2));
+
+  log('\n╔════════════════════════════════════════════════════════════╗');
+  log(`║  ${problems.length === 0 ? 'ALL FILES VERIFIED' : 'PROBLEMS FOUND'}`.padEnd(61) + '║');
+  log('╠════════════════════════════════════════════════════════════╣');
+  log(`║  Referenced URLs: ${summary.references}`.padEnd(61) + '║');
+  log(`║  Verified: ${summary.verified}`.padEnd(61) + '║');
+  for (const type of PROBLEM_TYPES) {
+    log(`║  ${type[0].toUpperCase()}${type.slice(1)}: ${summary[type]}`.padEnd(61) + '║');
+  }
+  log('╚════════════════════════════════════════════════════════════╝');
+  log(`\nReport: ${REPORT_FILE}`);
+
+  if (problems.length > 0) {
+    process.exitCode = 1;
+  }
+}
+
+// =============================================================================
+// ENTRY POINT
+// =============================================================================
+
+main().catch(err => {
+  logError(`Fatal error: ${err.message}`);
+  process.exit(1);
+});
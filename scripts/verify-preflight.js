@@ -2,13 +2,17 @@
 /**
  * Printavo Preflight Check
  * 
- * Tests API access and shows account statistics before full extraction.
+ * Validates the query files, tests API access and shows account statistics
+ * before full extraction.
  * Run this first to verify your credentials work.
  * 
  * Usage:
  *   node scripts/verify-preflight.js
  */
 
+const path = require('path');
+const { loadOrderQueries, loadEntityQueries, loadConfigQuery } = require('./lib/graphql-queries');
+
 let CONFIG;
 try {
   CONFIG = require('../config.js');
@@ -58,6 +62,19 @@ async function main() {
   console.log(`Email: ${CONFIG.PRINTAVO_EMAIL}`);
   console.log('');
   
+  console.log('Checking query files...');
+  try {
+    const queriesDir = CONFIG.QUERIES_DIR && path.resolve(__dirname, '..', CONFIG.QUERIES_DIR);
+    loadOrderQueries(queriesDir);
+    loadEntityQueries(queriesDir);
+    loadConfigQuery(queriesDir);
+    console.log('✓ Query files valid');
+    console.log('');
+  } catch (error) {
+    console.error(`✗ Invalid query file - ${error.message}`);
+    process.exit(1);
+  }
+  
   try {
     console.log('Testing API access...');
     
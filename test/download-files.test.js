@@ -0,0 +1,374 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const { createMockPrintavo, SESSION_COOKIE } = require('./mock-printavo');
+const { createSandbox, runScript } = require('./helpers');
+
+async function extracted(t, { fileDelay, fileFaults, config } = {}) {
+  const mock = await createMockPrintavo({ fileDelay, fileFaults }).start();
+  const sandbox = createSandbox(mock, { config });
+  t.after(async () => {
+    sandbox.remove();
+    await mock.stop();
+  });
+
+  const result = await runScript(sandbox, 'extract-all-data.js', { mock });
+  assert.equal(result.code, 0, result.stderr);
+  return { mock, sandbox };
+}
+
+function mappingRows(sandbox) {
+  return fs.readFileSync(sandbox.file('url-mapping.csv'), 'utf8').trim().split(/\r?\n/).slice(1);
+}
+
+function requestsFor(mock, handle) {
+  return mock.fileRequests.filter(request => request.handle === handle).map(request => request.range);
+}
+
+function storedFile(sandbox, printavoId) {
+  const file = sandbox.readJson('file-manifest.json').files.find(entry => entry.printavoId === printavoId);
+  return sandbox.file(file.path);
+}
+
+function storedPathFor(sandbox, visualId, document) {
+  const file = sandbox.readJson('file-manifest.json').files
+    .find(entry => entry.visualId === visualId && entry.document === document);
+  return file.path.replace(/^files\//, '');
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+test('stores every file once by content hash and maps the old URLs', async (t) => {
+  const { mock, sandbox } = await extracted(t);
+
+  const result = await runScript(sandbox, 'download-files.js', { mock });
+  assert.equal(result.code, 0, result.stderr);
+
+  const separations = sha256(mock.fileBody('pf2sep'));
+  const storedPath = `store/${separations.slice(0, 2)}/${separations}.pdf`;
+  assert.deepEqual(fs.readFileSync(sandbox.file('files', storedPath)), mock.fileBody('pf2sep'));
+
+  const rows = mappingRows(sandbox);
+  assert.equal(rows.length, 15);
+  const size = mock.fileBody('pf2sep').length;
+  assert.ok(rows.includes(`${mock.url}/files/cdn.filepicker.io/att1proof,message-attachments,${storedPath},1001,proof.pdf,${separations},${size}`));
+
+  // The proof attachment is the same PDF as a production file: one copy
+  const manifest = sandbox.readJson('file-manifest.json');
+  assert.equal(manifest.summary.references, 15);
+  assert.equal(manifest.summary.objects, 14);
+  assert.equal(manifest.summary.duplicateBytesSaved, size);
+  assert.deepEqual(manifest.objects[separations].buckets, ['production-files', 'message-attachments']);
+  const proof = manifest.files.find(file => file.printavoId === 'att1');
+  assert.deepEqual(proof, {
+    printavoId: 'att1',
+    url: `${mock.url}/files/cdn.filepicker.io/att1proof`,
+    bucket: 'message-attachments',
+    visualId: '1001',
+    originalName: 'proof.pdf',
+    mimeType: 'application/pdf',
+    sha256: separations,
+    size,
+    path: `files/${storedPath}`
+  });
+  for (const file of manifest.files) {
+    assert.equal(sha256(fs.readFileSync(sandbox.file(file.path))), file.sha256, file.path);
+  }
+  assert.equal(sandbox.exists('files', '.tmp'), false);
+
+  const progress = sandbox.readJson('download-progress.json');
+  assert.equal(progress.downloaded.length, 15);
+  assert.deepEqual(progress.failed, {});
+
+  // A second run finds everything in download-progress.json
+  mock.fileRequests.length = 0;
+  mock.documentRequests.length = 0;
+  const rerun = await runScript(sandbox, 'download-files.js', { mock });
+  assert.equal(rerun.code, 0, rerun.stderr);
+  assert.match(rerun.stdout, /Skipped: 15/);
+  assert.deepEqual(mock.fileRequests, []);
+  assert.deepEqual(mock.documentRequests, []);
+  assert.equal(mappingRows(sandbox).length, 15);
+});
+
+test('names files by their detected type instead of .bin', async (t) => {
+  const { mock, sandbox } = await extracted(t);
+
+  const result = await runScript(sandbox, 'download-files.js', { mock });
+  assert.equal(result.code, 0, result.stderr);
+
+  const extensions = Object.fromEntries(sandbox.readJson('file-manifest.json').files
+    .map(file => [file.printavoId, path.extname(file.path)]));
+  assert.equal(extensions.pf1, '.ai'); // original name; application/postscript is ambiguous
+  assert.equal(extensions.pf5, '.cdr'); // Content-Disposition filename
+  assert.equal(extensions.pf4, '.psd'); // file signature
+  assert.equal(extensions.mk2, '.jpg');
+});
+
+test('moves files saved by earlier versions into the store', async (t) => {
+  const { mock, sandbox } = await extracted(t);
+
+  // The old layout: files/<bucket>/<handle><ext>, five-column mapping. The
+  // separations were cut off partway, and nothing recorded their size.
+  const url = handle => `${mock.url}/files/cdn.filepicker.io/${handle}`;
+  const separations = mock.fileBody('pf2sep');
+  const half = Math.floor(separations.length / 2);
+  fs.mkdirSync(sandbox.file('files', 'production-files'), { recursive: true });
+  fs.mkdirSync(sandbox.file('files', 'imprint-mockups'), { recursive: true });
+  fs.writeFileSync(sandbox.file('files', 'production-files', 'pf1art.eps'), mock.fileBody('pf1art'));
+  fs.writeFileSync(sandbox.file('files', 'production-files', 'pf2sep.pdf'), separations.subarray(0, half));
+  fs.writeFileSync(sandbox.file('files', 'imprint-mockups', 'mk3logo.png'), mock.fileBody('mk3logo'));
+  fs.writeFileSync(sandbox.file('files', 'production-files', 'pf4layers.bin'), mock.fileBody('pf4layers'));
+  fs.writeFileSync(sandbox.file('url-mapping.csv'),
+    'old_url,bucket,new_path,visual_id,original_name\r\n' +
+    `${url('pf1art')},production-files,pf1art.eps,1001,league-art.ai\r\n` +
+    `${url('pf2sep')},production-files,pf2sep.pdf,1001,separations.pdf\r\n` +
+    `${url('pf4layers')},production-files,pf4layers.bin,1003,shirt-final\r\n`);
+  fs.writeFileSync(sandbox.file('download-progress.json'), JSON.stringify({
+    downloaded: [url('pf1art'), url('pf2sep'), url('pf4layers')],
+    failed: []
+  }));
+
+  const result = await runScript(sandbox, 'download-files.js', { mock });
+  assert.equal(result.code, 0, result.stderr);
+
+  // Mapped or not, each old file is continued from its length: complete
+  // ones have nothing left to send, the short one gets the rest
+  for (const handle of ['pf1art', 'mk3logo', 'pf4layers']) {
+    assert.deepEqual(requestsFor(mock, handle), [`bytes=${mock.fileBody(handle).length}-`], handle);
+  }
+  assert.deepEqual(requestsFor(mock, 'pf2sep'), [`bytes=${half}-`]);
+  assert.deepEqual(fs.readFileSync(storedFile(sandbox, 'pf2')), separations);
+  for (const file of ['production-files/pf1art.eps', 'production-files/pf2sep.pdf', 'imprint-mockups/mk3logo.png', 'production-files/pf4layers.bin']) {
+    assert.equal(sandbox.exists('files', ...file.split('/')), false, file);
+  }
+
+  const rows = mappingRows(sandbox);
+  assert.equal(rows.length, 15);
+  const rowFor = handle => rows.find(row => row.startsWith(`${url(handle)},`));
+  const art = sha256(mock.fileBody('pf1art'));
+  assert.equal(rowFor('pf1art'), `${url('pf1art')},production-files,store/${art.slice(0, 2)}/${art}.ai,1001,league-art.ai,${art},${mock.fileBody('pf1art').length}`);
+  const sep = sha256(separations);
+  assert.equal(rowFor('pf2sep'), `${url('pf2sep')},production-files,store/${sep.slice(0, 2)}/${sep}.pdf,1001,separations.pdf,${sep},${separations.length}`);
+  assert.ok(rowFor('mk3logo').startsWith(`${url('mk3logo')},imprint-mockups,store/`));
+
+  // The old .bin file is stored by its bytes (a Photoshop signature)
+  const layers = sha256(mock.fileBody('pf4layers'));
+  assert.ok(rowFor('pf4layers').startsWith(`${url('pf4layers')},production-files,store/${layers.slice(0, 2)}/${layers}.psd,`));
+  assert.equal(sandbox.exists('files', 'store', layers.slice(0, 2), `${layers}.bin`), false);
+  assert.equal(sandbox.readJson('file-manifest.json').summary.references, 15);
+});
+
+test('records files the CDN no longer has as failed', async (t) => {
+  const { mock, sandbox } = await extracted(t);
+  const separations = mock.fixture.files.pf2sep;
+  delete mock.fixture.files.pf2sep;
+
+  const result = await runScript(sandbox, 'download-files.js', { mock });
+  assert.equal(result.code, 0, result.stderr);
+  assert.match(result.stderr, /pf2sep: HTTP 404/);
+  assert.equal(sandbox.exists('files', 'production-files', 'pf2sep.pdf'), false);
+
+  const progress = sandbox.readJson('download-progress.json');
+  assert.equal(progress.downloaded.length, 14);
+  assert.deepEqual(progress.failed, {
+    [`${mock.url}/files/cdn.filepicker.io/pf2sep`]: { bucket: 'production-files', visualId: '1001', error: 'HTTP 404' }
+  });
+  assert.equal(mappingRows(sandbox).length, 14);
+
+  // Once it is back, the failure is cleared - including from the array
+  // earlier versions kept, with one entry per failed run
+  mock.fixture.files.pf2sep = separations;
+  const failure = { url: `${mock.url}/files/cdn.filepicker.io/pf2sep`, bucket: 'production-files', visualId: '1001' };
+  fs.writeFileSync(sandbox.file('download-progress.json'), JSON.stringify({ ...progress, failed: [failure, failure] }));
+  const rerun = await runScript(sandbox, 'download-files.js', { mock });
+  assert.equal(rerun.code, 0, rerun.stderr);
+  assert.deepEqual(sandbox.readJson('download-progress.json').failed, {});
+  assert.equal(mappingRows(sandbox).length, 15);
+});
+
+test('follows redirects, up to a limit', async (t) => {
+  const { mock, sandbox } = await extracted(t, { config: { MAX_RETRIES: 1 } });
+  mock.fixture.files['pf2sep-moved'] = mock.fixture.files.pf2sep;
+  mock.fixture.files.pf2sep = { redirect: 'pf2sep-moved' };
+  mock.fixture.files.pf3hood = { redirect: 'pf3hood' };
+
+  const result = await runScript(sandbox, 'download-files.js', { mock });
+  assert.equal(result.code, 0, result.stderr);
+  assert.deepEqual(fs.readFileSync(storedFile(sandbox, 'pf2')), mock.fileBody('pf2sep-moved'));
+
+  // A redirect loop gives up after the first request and five redirects
+  assert.equal(requestsFor(mock, 'pf3hood').length, 6);
+  assert.deepEqual(sandbox.readJson('download-progress.json').failed, {
+    [`${mock.url}/files/cdn.filepicker.io/pf3hood`]: {
+      bucket: 'production-files',
+      visualId: '2001',
+      error: 'Too many redirects (more than 5)'
+    }
+  });
+});
+
+test('counts a URL several orders reference once', async (t) => {
+  const { mock, sandbox } = await extracted(t);
+
+  // The quote reuses an invoice's separations, which the CDN no longer has
+  const quotePath = sandbox.file('quotes', '2001.json');
+  const quote = JSON.parse(fs.readFileSync(quotePath, 'utf8'));
+  const separationsUrl = `${mock.url}/files/cdn.filepicker.io/pf2sep`;
+  quote.productionFiles.nodes.push({ id: 'pf6', fileUrl: separationsUrl, name: 'separations.pdf', mimeType: 'application/pdf' });
+  fs.writeFileSync(quotePath, JSON.stringify(quote));
+  delete mock.fixture.files.pf2sep;
+
+  const result = await runScript(sandbox, 'download-files.js', { mock });
+  assert.equal(result.code, 0, result.stderr);
+  assert.match(result.stdout, /Downloading 15 files \(0 already done, 1 duplicate URLs\)/);
+  assert.equal(requestsFor(mock, 'pf2sep').length, 2); // MAX_RETRIES, once
+
+  // The failed first reference doesn't count as downloaded through the second
+  const progress = sandbox.readJson('download-progress.json');
+  assert.ok(!progress.downloaded.includes(separationsUrl));
+  assert.deepEqual(Object.keys(progress.failed), [separationsUrl]);
+});
+
+test('downloads in parallel without exceeding the per-host limit', async (t) => {
+  const { mock, sandbox } = await extracted(t, {
+    fileDelay: 100,
+    config: { DOWNLOAD_CONCURRENCY: 4, MAX_CONNECTIONS_PER_HOST: 2 }
+  });
+
+  const result = await runScript(sandbox, 'download-files.js', { mock });
+  assert.equal(result.code, 0, result.stderr);
+  assert.match(result.stdout, /Progress: 15\/15 \(100\.0%\)/);
+  assert.equal(mock.peakFileConnections, 2);
+  assert.equal(sandbox.readJson('download-progress.json').downloaded.length, 15);
+  assert.equal(mappingRows(sandbox).length, 15);
+});
+
+test('lets other files use the host while a failed one waits to retry', async (t) => {
+  const { mock, sandbox } = await extracted(t, {
+    fileFaults: [{ handle: 'pf1art', type: 'corrupt' }],
+    config: { DOWNLOAD_CONCURRENCY: 2, MAX_CONNECTIONS_PER_HOST: 1 }
+  });
+
+  const result = await runScript(sandbox, 'download-files.js', { mock });
+  assert.equal(result.code, 0, result.stderr);
+  const handles = mock.fileRequests.map(request => request.handle);
+  assert.equal(handles[0], 'pf1art');
+  assert.notEqual(handles[1], 'pf1art');
+  assert.equal(handles.filter(handle => handle === 'pf1art').length, 2);
+  assert.equal(mock.peakFileConnections, 1);
+});
+
+test('continues an interrupted download where it stopped', async (t) => {
+  const { mock, sandbox } = await extracted(t, {
+    fileFaults: [{ handle: 'pf2sep', type: 'truncate' }],
+    config: { MAX_RETRIES: 1 }
+  });
+
+  // The connection drops halfway; what arrived is kept for the next run
+  const result = await runScript(sandbox, 'download-files.js', { mock });
+  assert.equal(result.code, 0, result.stderr);
+  assert.match(result.stderr, /Failed .*pf2sep/);
+  assert.equal(fs.readdirSync(sandbox.file('files', '.tmp')).length, 1);
+
+  const body = mock.fileBody('pf2sep');
+  const rerun = await runScript(sandbox, 'download-files.js', { mock });
+  assert.equal(rerun.code, 0, rerun.stderr);
+  assert.deepEqual(requestsFor(mock, 'pf2sep'), [null, `bytes=${Math.floor(body.length / 2)}-`]);
+  assert.deepEqual(fs.readFileSync(storedFile(sandbox, 'pf2')), body);
+  assert.equal(sandbox.exists('files', '.tmp'), false);
+});
+
+test('discards downloads that fail their checksum', async (t) => {
+  const { mock, sandbox } = await extracted(t, {
+    fileFaults: [
+      { handle: 'pf1art', type: 'corrupt' },
+      { handle: 'mk3logo', type: 'corrupt', times: Infinity }
+    ]
+  });
+
+  const result = await runScript(sandbox, 'download-files.js', { mock });
+  assert.equal(result.code, 0, result.stderr);
+  assert.match(result.stderr, /Failed .*mk3logo: sha256 checksum mismatch/);
+
+  // Retried from scratch, not continued from the bad copy
+  assert.deepEqual(requestsFor(mock, 'pf1art'), [null, null]);
+  assert.deepEqual(fs.readFileSync(storedFile(sandbox, 'pf1')), mock.fileBody('pf1art'));
+
+  const progress = sandbox.readJson('download-progress.json');
+  assert.deepEqual(Object.keys(progress.failed), [`${mock.url}/files/cdn.filepicker.io/mk3logo`]);
+  assert.ok(!mappingRows(sandbox).some(row => row.includes('mk3logo')));
+  assert.equal(sandbox.exists('files', '.tmp'), false);
+});
+
+test('fetches stored files again when they are missing, empty or short', async (t) => {
+  const { mock, sandbox } = await extracted(t);
+
+  const result = await runScript(sandbox, 'download-files.js', { mock });
+  assert.equal(result.code, 0, result.stderr);
+
+  fs.truncateSync(storedFile(sandbox, 'pf1'), 3);
+  fs.truncateSync(storedFile(sandbox, 'mk2'), 0);
+  fs.unlinkSync(storedFile(sandbox, 'pf3'));
+
+  mock.fileRequests.length = 0;
+  const rerun = await runScript(sandbox, 'download-files.js', { mock });
+  assert.equal(rerun.code, 0, rerun.stderr);
+  assert.match(rerun.stdout, /3 previously downloaded files are missing or incomplete/);
+  assert.deepEqual(mock.fileRequests.map(request => request.handle).sort(), ['mk2black', 'pf1art', 'pf3hood']);
+
+  assert.deepEqual(fs.readFileSync(storedFile(sandbox, 'pf1')), mock.fileBody('pf1art'));
+  assert.deepEqual(fs.readFileSync(storedFile(sandbox, 'mk2')), mock.fileBody('mk2black'));
+  assert.deepEqual(fs.readFileSync(storedFile(sandbox, 'pf3')), mock.fileBody('pf3hood'));
+  assert.equal(mappingRows(sandbox).length, 15);
+  assert.equal(sandbox.readJson('download-progress.json').downloaded.length, 15);
+});
+
+test('saves each order\'s documents by what Printavo returns', async (t) => {
+  const { mock, sandbox } = await extracted(t);
+
+  const result = await runScript(sandbox, 'download-files.js', { mock });
+  assert.equal(result.code, 0, result.stderr);
+
+  const documents = sandbox.readJson('file-manifest.json').files
+    .filter(file => file.bucket === 'order-documents')
+    .map(file => [file.visualId, file.document, path.extname(file.path)]);
+  assert.deepEqual(documents.sort(), [
+    ['1001', 'invoice', '.pdf'],
+    ['1001', 'packing-slip', '.html'],
+    ['1001', 'public-page', '.html'],
+    ['1001', 'work-order', '.pdf'], // served as text/html, but the bytes are a PDF
+    ['2001', 'quote', '.pdf'],
+    ['2001', 'work-order', '.pdf']
+  ]);
+  // A quote's PDF is named for the quote, not as an invoice
+  assert.ok(mappingRows(sandbox).some(row => row.startsWith(`${mock.url}/quote/h2001.pdf,order-documents,`) && row.includes(',2001,quote-2001,')));
+  assert.ok(mappingRows(sandbox).includes(
+    `${mock.url}/invoices/1001/workorder,order-documents,${storedPathFor(sandbox, '1001', 'work-order')},1001,work-order-1001,` +
+    `${sha256('%PDF-1.4 work order 1001')},${'%PDF-1.4 work order 1001'.length}`
+  ));
+
+  // Printavo's pages get the API credentials and the session cookie
+  const workOrder = mock.documentRequests.find(request => request.path === '/invoices/1001/workorder');
+  assert.equal(workOrder.headers.token, 'test-token');
+  assert.equal(workOrder.headers.cookie, SESSION_COOKIE);
+});
+
+test('fails documents that need a signed-in session without the cookie', async (t) => {
+  const { mock, sandbox } = await extracted(t, { config: { PRINTAVO_SESSION_COOKIE: '' } });
+
+  const result = await runScript(sandbox, 'download-files.js', { mock });
+  assert.equal(result.code, 0, result.stderr);
+  assert.match(result.stderr, /Failed .*\/invoices\/2001\/workorder: Printavo sign-in page returned/);
+
+  // The sign-in page is not kept as the work order
+  const { failed } = sandbox.readJson('download-progress.json');
+  assert.deepEqual(Object.keys(failed), [`${mock.url}/invoices/2001/workorder`]);
+  assert.equal(failed[`${mock.url}/invoices/2001/workorder`].bucket, 'order-documents');
+  assert.ok(!mappingRows(sandbox).some(row => row.includes('/invoices/2001/workorder')));
+  assert.equal(sandbox.exists('files', '.tmp'), false);
+});
@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockPrintavo } = require('./mock-printavo');
+const { createSandbox, runScript } = require('./helpers');
+
+test('lists the payments of skipped invoices as skipped', async (t) => {
+  const mock = await createMockPrintavo().start();
+  const sandbox = createSandbox(mock);
+  t.after(async () => {
+    sandbox.remove();
+    await mock.stop();
+  });
+
+  // A payment recorded against the zero-total draft
+  const draft = mock.fixture.invoices.find(invoice => invoice.id === 'inv3');
+  draft.transactions.push({ __typename: 'Payment', id: 'pay3', amount: 40, transactionDate: '2024-02-11', category: 'CASH' });
+
+  let result = await runScript(sandbox, 'extract-all-data.js', { mock });
+  assert.equal(result.code, 0, result.stderr);
+  result = await runScript(sandbox, 'export-accounting.js');
+  assert.equal(result.code, 0, result.stderr);
+
+  const reconciliation = sandbox.readJson('accounting', 'reconciliation.json');
+  assert.deepEqual(reconciliation.invoices.skipped, [{ visualId: '1003', reason: 'zero total' }]);
+  assert.deepEqual(reconciliation.transactionsSkipped, [
+    { id: 'pay3', visualId: '1003', reason: 'invoice skipped: zero total' }
+  ]);
+  assert.equal(reconciliation.payments.exported, 2);
+  assert.equal(reconciliation.payments.total, '360.00');
+});
@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { createMockPrintavo } = require('./mock-printavo');
+const { createSandbox, runScript } = require('./helpers');
+
+test('reports the links it pointed at downloaded files', async (t) => {
+  const mock = await createMockPrintavo().start();
+  const sandbox = createSandbox(mock);
+  t.after(async () => {
+    sandbox.remove();
+    await mock.stop();
+  });
+
+  for (const script of ['extract-all-data.js', 'download-files.js']) {
+    const result = await runScript(sandbox, script, { mock });
+    assert.equal(result.code, 0, result.stderr);
+  }
+  const result = await runScript(sandbox, 'export-html.js');
+  assert.equal(result.code, 0, result.stderr);
+
+  // Pages link each production file and mockup; url-mapping.csv also holds
+  // message attachments and order documents, which the pages don't link
+  const pages = fs.readdirSync(sandbox.file('html', 'orders'))
+    .map(page => fs.readFileSync(sandbox.file('html', 'orders', page), 'utf8'));
+  const links = pages.join('').match(/<figure><a href="\.\.\/\.\.\/files\//g).length;
+  assert.match(result.stdout, new RegExp(`Local files linked: ${links} `));
+  assert.notEqual(links, 15);
+});
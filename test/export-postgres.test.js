@@ -0,0 +1,231 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createMockPrintavo } = require('./mock-printavo');
+const { createSandbox, runScript } = require('./helpers');
+
+// =============================================================================
+// SQL REPLAY
+// =============================================================================
+// No PostgreSQL here, so load.sql is replayed against Maps instead. Only the
+// statements the export writes are understood; anything else fails the test.
+
+/**
+ * Split SQL into statements at semicolons outside string literals
+ */
+function statements(sql) {
+  const result = [];
+  let start = 0;
+  let quoted = false;
+  for (let i = 0; i < sql.length; i++) {
+    if (sql[i] === "'") quoted = !quoted;
+    if (sql[i] === ';' && !quoted) {
+      result.push(sql.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  return result.filter(Boolean);
+}
+
+/**
+ * The value tuples of an INSERT's VALUES list, as arrays of JS values
+ */
+function valueTuples(text) {
+  const tuples = [];
+  let tuple = null;
+  let i = 0;
+  const skipCast = () => {
+    const cast = text.slice(i).match(/^::[a-z]+(\[\])?/);
+    if (cast) i += cast[0].length;
+  };
+  const readString = () => {
+    let value = '';
+    for (i++; ; i++) {
+      if (text[i] === "'" && text[i + 1] === "'") {
+        value += "'";
+        i++;
+      } else if (text[i] === "'") {
+        i++;
+        return value;
+      } else {
+        value += text[i];
+      }
+    }
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+    if (char === '(') {
+      tuple = [];
+      i++;
+    } else if (char === ')') {
+      tuples.push(tuple);
+      tuple = null;
+      i++;
+    } else if (char === "'") {
+      tuple.push(readString());
+      skipCast();
+    } else if (text.startsWith('ARRAY[', i)) {
+      const items = [];
+      i += 'ARRAY['.length;
+      while (text[i] !== ']') {
+        if (text[i] === "'") items.push(readString());
+        else i++;
+      }
+      i++;
+      skipCast();
+      tuple.push(items);
+    } else if (/[\w.-]/.test(char)) {
+      const word = text.slice(i).match(/^[\w.-]+/)[0];
+      i += word.length;
+      tuple.push(word === 'NULL' ? null : word === 'true' ? true : word === 'false' ? false : Number(word));
+    } else {
+      i++;
+    }
+  }
+  return tuples;
+}
+
+/**
+ * Run one statement from a data file against db: { tables, loadedOrders }
+ */
+function runStatement(db, statement) {
+  if (/^SET search_path/.test(statement)) return;
+
+  if (/^CREATE TEMP TABLE loaded_orders/.test(statement)) {
+    db.loadedOrders = new Set();
+    return;
+  }
+
+  const insert = statement.match(/^INSERT INTO (\w+) \(([^)]*)\) VALUES\n([\s\S]*?)(?:\nON CONFLICT \(([^)]*)\) DO UPDATE SET[\s\S]*)?$/);
+  if (insert) {
+    const [, table, columnList, values, keyList] = insert;
+    const columns = columnList.split(', ');
+    for (const tuple of valueTuples(values)) {
+      const row = Object.fromEntries(columns.map((column, i) => [column, tuple[i]]));
+      if (table === 'loaded_orders') {
+        db.loadedOrders.add(row.id);
+        continue;
+      }
+      assert.ok(keyList, `INSERT INTO ${table} has no ON CONFLICT clause`);
+      if (!db.tables[table]) db.tables[table] = new Map();
+      db.tables[table].set(keyList.split(', ').map(column => row[column]).join('\u0000'), row);
+    }
+    return;
+  }
+
+  if (statement === 'DELETE FROM line_item_sizes WHERE line_item_id IN ' +
+      '(SELECT id FROM line_items WHERE order_id IN (SELECT id FROM loaded_orders))') {
+    const lineItems = new Set([...(db.tables.line_items || new Map()).values()]
+      .filter(item => db.loadedOrders.has(item.order_id))
+      .map(item => item.id));
+    deleteRows(db, 'line_item_sizes', row => lineItems.has(row.line_item_id));
+    return;
+  }
+
+  const scoped = statement.match(/^DELETE FROM (\w+) WHERE order_id IN \(SELECT id FROM loaded_orders\)$/);
+  if (scoped) {
+    deleteRows(db, scoped[1], row => db.loadedOrders.has(row.order_id));
+    return;
+  }
+
+  assert.fail(`Unexpected statement: ${statement.slice(0, 80)}`);
+}
+
+function deleteRows(db, table, matches) {
+  for (const [key, row] of db.tables[table] || []) {
+    if (matches(row)) db.tables[table].delete(key);
+  }
+}
+
+/**
+ * Replay the data files load.sql includes, in its order, against db
+ */
+function load(db, outputDir) {
+  const lines = fs.readFileSync(path.join(outputDir, 'load.sql'), 'utf8').split('\n');
+  assert.ok(lines.indexOf('BEGIN;') < lines.indexOf('COMMIT;'));
+  for (const line of lines) {
+    const include = line.match(/^\\ir (data\/.+)$/);
+    if (!include) continue;
+    for (const statement of statements(fs.readFileSync(path.join(outputDir, include[1]), 'utf8'))) {
+      runStatement(db, statement);
+    }
+  }
+  return db;
+}
+
+function emptyDatabase() {
+  return { tables: {}, loadedOrders: new Set() };
+}
+
+function keys(db, table) {
+  return [...(db.tables[table] || new Map()).keys()].sort();
+}
+
+// =============================================================================
+// TESTS
+// =============================================================================
+
+async function exported(t) {
+  const mock = await createMockPrintavo().start();
+  const sandbox = createSandbox(mock);
+  t.after(async () => {
+    sandbox.remove();
+    await mock.stop();
+  });
+
+  let result = await runScript(sandbox, 'extract-all-data.js', { mock });
+  assert.equal(result.code, 0, result.stderr);
+  result = await runScript(sandbox, 'export-postgres.js');
+  assert.equal(result.code, 0, result.stderr);
+  return { mock, sandbox };
+}
+
+test('replaces the child rows of every loaded order', async (t) => {
+  const { mock, sandbox } = await exported(t);
+
+  // The deletes run inside the load transaction, before any rows are inserted
+  const load = fs.readFileSync(sandbox.file('postgres', 'load.sql'), 'utf8').split('\n');
+  const includes = load.filter(line => line.startsWith('\\ir data/'));
+  assert.equal(includes[0], '\\ir data/00_clear_order_children.sql');
+  assert.ok(load.indexOf('BEGIN;') < load.indexOf(includes[0]));
+  assert.ok(load.indexOf('COMMIT;') > load.indexOf(includes[includes.length - 1]));
+
+  const clear = fs.readFileSync(sandbox.file('postgres', 'data', '00_clear_order_children.sql'), 'utf8');
+  for (const order of [...mock.fixture.invoices, ...mock.fixture.quotes]) {
+    assert.ok(clear.includes(`('${order.id}')`), `${order.id} is not cleared`);
+  }
+  for (const table of ['line_item_sizes', 'line_items', 'imprints', 'fees', 'tasks', 'transactions']) {
+    assert.match(clear, new RegExp(`DELETE FROM ${table} WHERE`));
+  }
+  assert.ok(clear.indexOf('DELETE FROM line_item_sizes') < clear.indexOf('DELETE FROM line_items '));
+});
+
+test('loading a newer export removes child rows deleted from an order', async (t) => {
+  const { mock, sandbox } = await exported(t);
+  const outputDir = sandbox.file('postgres');
+
+  const db = load(emptyDatabase(), outputDir);
+  assert.deepEqual(keys(db, 'line_items'), ['li1', 'li2', 'li3', 'li4', 'li5', 'li6']);
+  const sizesBefore = keys(db, 'line_item_sizes');
+  assert.ok(sizesBefore.some(key => key.startsWith('li1\u0000')));
+
+  // Loading the same export twice changes nothing and duplicates nothing
+  const reloaded = load(load(emptyDatabase(), outputDir), outputDir);
+  assert.deepEqual(reloaded.tables, db.tables);
+
+  // li1 (three sizes) is removed from its order in Printavo
+  const order = mock.fixture.invoices.find(invoice => invoice.id === 'inv1');
+  order.lineItemGroups[0].lineItems.splice(0, 1);
+  order.timestamps = { ...order.timestamps, updatedAt: new Date().toISOString() };
+  let result = await runScript(sandbox, 'extract-all-data.js', { mock, args: ['--incremental'] });
+  assert.equal(result.code, 0, result.stderr);
+  result = await runScript(sandbox, 'export-postgres.js');
+  assert.equal(result.code, 0, result.stderr);
+
+  load(db, outputDir);
+  assert.deepEqual(keys(db, 'line_items'), ['li2', 'li3', 'li4', 'li5', 'li6']);
+  assert.deepEqual(keys(db, 'line_item_sizes'), sizesBefore.filter(key => !key.startsWith('li1\u0000')));
+  assert.deepEqual(db.tables, load(emptyDatabase(), outputDir).tables);
+});
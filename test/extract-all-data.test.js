@@ -0,0 +1,289 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockPrintavo } = require('./mock-printavo');
+const { createSandbox, runScript } = require('./helpers');
+
+async function setup(t, { faults, pageSize } = {}) {
+  const mock = await createMockPrintavo({ faults }).start();
+  const sandbox = createSandbox(mock, { pageSize });
+  t.after(async () => {
+    sandbox.remove();
+    await mock.stop();
+  });
+  return { mock, sandbox };
+}
+
+function extract(sandbox, mock, options) {
+  return runScript(sandbox, 'extract-all-data.js', { mock, ...options });
+}
+
+function headersRequested(mock) {
+  return mock.requests
+    .filter(request => request.operation === 'GetOrderHeader')
+    .map(request => request.variables.id);
+}
+
+function ids(connection) {
+  return connection.nodes.map(node => node.id);
+}
+
+test('extracts orders, configuration and account-wide lists', async (t) => {
+  const { mock, sandbox } = await setup(t);
+
+  const result = await extract(sandbox, mock);
+  assert.equal(result.code, 0, result.stderr);
+
+  for (const visualId of ['1001', '1002', '1003']) {
+    assert.ok(sandbox.exists('invoices', `${visualId}.json`), `invoice ${visualId}`);
+  }
+  assert.ok(sandbox.exists('quotes', '2001.json'));
+
+  const invoice = sandbox.readJson('invoices', '1001.json');
+  assert.equal(invoice.type, 'invoice');
+  assert.equal(invoice.printavoId, 'inv1');
+  assert.equal(invoice.nickname, 'Spring league tees');
+  assert.deepEqual(invoice.tags, ['league', 'rush']);
+  assert.deepEqual(invoice.splitStrategy, { lineItems: 'combined', filesFinancial: 'combined' });
+  assert.deepEqual(ids(invoice.productionFiles), ['pf1', 'pf2']);
+  assert.equal(invoice.transactions.nodes[0].__typename, 'Payment');
+
+  assert.deepEqual(sandbox.readJson('account.json').companyName, 'Fixture Print Co');
+  assert.equal(sandbox.readJson('statuses.json').length, 3);
+  assert.equal(sandbox.readJson('customers.json').length, 2);
+  assert.deepEqual(sandbox.readJson('inquiries.json'), []);
+  assert.deepEqual(ids(sandbox.readJson('threads', 't1.json').messages), ['msg1', 'msg2']);
+
+  const progress = sandbox.readJson('progress.json');
+  assert.equal(progress.phase, 'complete');
+  assert.equal(progress.entities.customers.cursor, null);
+
+  const summary = sandbox.readJson('summary.json');
+  assert.equal(summary.invoicesExtracted, 3);
+  assert.equal(summary.quotesExtracted, 1);
+  assert.equal(summary.totalFiles, 8);
+  assert.equal(summary.errors, 0);
+  assert.equal(sandbox.exists('errors.json'), false);
+});
+
+test('follows every cursor when each page holds a single node', async (t) => {
+  const { mock, sandbox } = await setup(t, { pageSize: 1 });
+
+  const result = await extract(sandbox, mock);
+  assert.equal(result.code, 0, result.stderr);
+
+  const invoice = sandbox.readJson('invoices', '1001.json');
+  assert.deepEqual(ids(invoice.lineItemGroups), ['g1', 'g2']);
+  const [group] = invoice.lineItemGroups.nodes;
+  assert.deepEqual(ids(group.lineItems), ['li1', 'li2', 'li3']);
+  assert.deepEqual(ids(group.imprints), ['im1', 'im2']);
+  assert.deepEqual(ids(group.imprints.nodes[0].mockups), ['mk1']);
+  assert.deepEqual(group.lineItems.nodes[0].sizes.map(size => size.count), [6, 12, 6]);
+  assert.deepEqual(ids(invoice.productionFiles), ['pf1', 'pf2']);
+
+  assert.deepEqual(ids(sandbox.readJson('invoices', '1002.json').transactions), ['pay2', 'ref1']);
+  assert.deepEqual(ids(sandbox.readJson('threads', 't1.json').messages), ['msg1', 'msg2']);
+  assert.equal(sandbox.readJson('statuses.json').length, 3);
+  assert.equal(sandbox.readJson('summary.json').totalFiles, 8);
+
+  assert.ok(mock.requests.some(request => request.operation === 'GetNodeConnectionPage' && request.variables.cursor));
+});
+
+test('splits queries the API rejects as too complex', async (t) => {
+  const { mock, sandbox } = await setup(t, {
+    faults: [
+      // Line item groups with their mockups inline are always too complex
+      { match: ({ query }) => /lineItemGroups\(/.test(query) && /mockups/.test(query), type: 'complexity', times: Infinity },
+      { match: /GetFilesFinancial/, type: 'complexity', times: Infinity }
+    ]
+  });
+
+  const result = await extract(sandbox, mock);
+  assert.equal(result.code, 0, result.stderr);
+  assert.match(result.stdout, /retrying as mockups-separate/);
+
+  const invoice = sandbox.readJson('invoices', '1001.json');
+  assert.deepEqual(invoice.splitStrategy, { lineItems: 'mockups-separate', filesFinancial: 'per-connection' });
+  const [group] = invoice.lineItemGroups.nodes;
+  assert.deepEqual(ids(group.lineItems.nodes[0].mockups), ['mk2']);
+  assert.deepEqual(ids(group.imprints.nodes[0].mockups), ['mk1']);
+  assert.deepEqual(ids(invoice.productionFiles), ['pf1', 'pf2']);
+
+  const summary = sandbox.readJson('summary.json');
+  assert.equal(summary.splitOrders, 4);
+  assert.equal(summary.totalFiles, 8);
+  assert.equal(summary.errors, 0);
+
+  // Re-extracting an edited order that is split again doesn't count it twice
+  const edited = mock.fixture.invoices.find(invoice => invoice.id === 'inv1');
+  edited.timestamps = { ...edited.timestamps, updatedAt: new Date().toISOString() };
+  const refresh = await extract(sandbox, mock, { args: ['--incremental'] });
+  assert.equal(refresh.code, 0, refresh.stderr);
+  assert.equal(sandbox.readJson('summary.json').invoicesRefreshed, 1);
+  assert.equal(sandbox.readJson('summary.json').splitOrders, 4);
+});
+
+test('waits out HTTP 429 responses without using up retries', async (t) => {
+  const { mock, sandbox } = await setup(t, {
+    faults: [{ match: /ListInvoices/, type: '429', times: 3 }]
+  });
+
+  const result = await extract(sandbox, mock);
+  assert.equal(result.code, 0, result.stderr);
+  assert.match(result.stdout, /Rate limited \(3\/5\)/);
+
+  const summary = sandbox.readJson('summary.json');
+  assert.equal(summary.throughput.rateLimited, 3);
+  assert.equal(summary.invoicesExtracted, 3);
+  assert.equal(sandbox.exists('errors.json'), false);
+});
+
+test('keeps the data from partial responses and reports their errors', async (t) => {
+  const { mock, sandbox } = await setup(t, {
+    faults: [{ match: /ListCustomers/, type: 'partial', message: 'Field "balance" failed to resolve' }]
+  });
+
+  const result = await extract(sandbox, mock);
+  assert.equal(result.code, 0, result.stderr);
+  assert.match(result.stderr, /GraphQL returned partial data: Field "balance" failed to resolve/);
+  assert.equal(sandbox.readJson('customers.json').length, 2);
+});
+
+test('retries requests that time out or lose their connection', async (t) => {
+  const { mock, sandbox } = await setup(t, {
+    faults: [
+      { match: ({ query, variables }) => /GetOrderHeader/.test(query) && variables.id === 'inv2', type: 'timeout' },
+      { match: /ListProducts/, type: 'reset' }
+    ]
+  });
+
+  const result = await extract(sandbox, mock);
+  assert.equal(result.code, 0, result.stderr);
+  assert.match(result.stderr, /Request failed \(attempt 1\/2\): No response within 1000ms \(REQUEST_TIMEOUT\)/);
+  assert.match(result.stderr, /Request failed \(attempt 1\/2\): fetch failed/);
+
+  assert.equal(sandbox.readJson('invoices', '1002.json').nickname, 'Taproom staff shirts');
+  assert.equal(sandbox.readJson('products.json').length, 1);
+  assert.equal(sandbox.exists('errors.json'), false);
+});
+
+test('records orders that keep failing in errors.json and retries them next run', async (t) => {
+  const { mock, sandbox } = await setup(t, {
+    faults: [{ match: ({ query, variables }) => /GetOrderHeader/.test(query) && variables.id === 'inv2', type: '500', times: Infinity }]
+  });
+
+  const result = await extract(sandbox, mock);
+  assert.equal(result.code, 0, result.stderr);
+  assert.equal(sandbox.exists('invoices', '1002.json'), false);
+  assert.ok(sandbox.exists('invoices', '1001.json'));
+
+  const { errors } = sandbox.readJson('errors.json');
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].type, 'invoice');
+  assert.equal(errors[0].visualId, '1002');
+  assert.equal(errors[0].printavoId, 'inv2');
+  assert.match(errors[0].error, /HTTP 500/);
+  assert.equal(errors[0].retries, 2);
+  assert.equal(sandbox.readJson('summary.json').errors, 1);
+
+  // Once the API recovers, an incremental run fetches only the missing order
+  mock.faults.length = 0;
+  mock.requests.length = 0;
+  const rerun = await extract(sandbox, mock, { args: ['--incremental'] });
+  assert.equal(rerun.code, 0, rerun.stderr);
+  assert.equal(sandbox.readJson('invoices', '1002.json').printavoId, 'inv2');
+  assert.deepEqual(headersRequested(mock), ['inv2']);
+});
+
+test('records orders deleted between listing and fetching as failed', async (t) => {
+  const { mock, sandbox } = await setup(t, {
+    faults: [{ match: ({ query, variables }) => /GetFilesFinancial/.test(query) && variables.id === 'inv2', type: 'missing' }]
+  });
+
+  const result = await extract(sandbox, mock);
+  assert.equal(result.code, 0, result.stderr);
+  assert.match(result.stderr, /Failed to extract invoice #1002: invoice inv2 disappeared while paging files\/financial/);
+  assert.equal(sandbox.exists('invoices', '1002.json'), false);
+  assert.equal(sandbox.readJson('errors.json').errors[0].printavoId, 'inv2');
+});
+
+test('resumes after a crash without re-requesting saved orders', async (t) => {
+  const { mock, sandbox } = await setup(t, { pageSize: 1 });
+
+  // Killed partway through the invoices phase: invoices are extracted newest
+  // first, so 1003 and 1002 are saved by the time 1001 is requested
+  const crashed = await extract(sandbox, mock, {
+    killWhen: request => request.operation === 'GetOrderHeader' && request.variables.id === 'inv1'
+  });
+  assert.equal(crashed.signal, 'SIGKILL');
+  assert.equal(sandbox.readJson('progress.json').phase, 'invoices');
+  assert.deepEqual(sandbox.readJson('progress.json').completedPhases, ['configuration']);
+  assert.equal(sandbox.exists('summary.json'), false);
+
+  const saved = ['inv3', 'inv2'];
+  assert.ok(sandbox.exists('invoices', '1003.json'));
+  assert.ok(sandbox.exists('invoices', '1002.json'));
+  assert.equal(sandbox.exists('invoices', '1001.json'), false);
+
+  mock.requests.length = 0;
+  const resumed = await extract(sandbox, mock);
+  assert.equal(resumed.code, 0, resumed.stderr);
+
+  assert.equal(sandbox.readJson('progress.json').phase, 'complete');
+  assert.ok(sandbox.exists('invoices', '1001.json'));
+  assert.ok(sandbox.exists('threads', 't1.json'));
+  assert.ok(!mock.requests.some(request => request.operation === 'GetAccountConfig'), 'configuration is not re-extracted');
+  for (const id of headersRequested(mock)) {
+    assert.ok(!saved.includes(id), `saved order ${id} was requested again`);
+  }
+});
+
+test('incremental runs re-extract orders edited since the last run', async (t) => {
+  const { mock, sandbox } = await setup(t);
+
+  // A normal run skips saved orders unchecked, so it sets no high-water mark
+  const full = await extract(sandbox, mock);
+  assert.equal(full.code, 0, full.stderr);
+  assert.equal(sandbox.readJson('progress.json').incremental, undefined);
+
+  const taproom = mock.fixture.invoices.find(invoice => invoice.id === 'inv2');
+  taproom.nickname = 'Taproom staff shirts (reorder)';
+  taproom.timestamps = { ...taproom.timestamps, updatedAt: new Date().toISOString() };
+
+  mock.requests.length = 0;
+  const first = await extract(sandbox, mock, { args: ['--incremental'] });
+  assert.equal(first.code, 0, first.stderr);
+  assert.deepEqual(headersRequested(mock), ['inv2']);
+
+  // Only the order lists are walked again, not configuration or customers
+  const operations = new Set(mock.requests.map(request => request.operation));
+  assert.ok(operations.has('ListInvoices') && operations.has('ListQuotes'));
+  assert.ok(!operations.has('GetAccountConfig'), 'configuration is not re-extracted');
+  assert.ok(!operations.has('ListCustomers'), 'customers are not re-listed');
+  assert.equal(sandbox.readJson('invoices', '1002.json').nickname, 'Taproom staff shirts (reorder)');
+
+  // The mark is from before the listing (not the edit's updatedAt), so the
+  // next run compares the order with its saved copy again - and it matches
+  const { highWaterMark } = sandbox.readJson('progress.json').incremental.invoice;
+  assert.ok(Date.parse(highWaterMark) < Date.parse(taproom.timestamps.updatedAt));
+  mock.requests.length = 0;
+  const second = await extract(sandbox, mock, { args: ['--incremental'] });
+  assert.equal(second.code, 0, second.stderr);
+  assert.deepEqual(headersRequested(mock), []);
+});
+
+test('drops account-wide records Printavo no longer lists', async (t) => {
+  const { mock, sandbox } = await setup(t);
+
+  const full = await extract(sandbox, mock);
+  assert.equal(full.code, 0, full.stderr);
+  assert.equal(sandbox.readJson('customers.json').length, 2);
+
+  // Deleted in Printavo between runs; a normal run refreshes the lists
+  const [deleted] = mock.fixture.customers.splice(1, 1);
+
+  const rerun = await extract(sandbox, mock);
+  assert.equal(rerun.code, 0, rerun.stderr);
+  assert.match(rerun.stdout, /Removed 1 customers no longer in Printavo/);
+  assert.deepEqual(sandbox.readJson('customers.json').map(customer => customer.id), ['cu1']);
+  assert.equal(sandbox.exists('customers', `${deleted.id}.json`), false);
+});
@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectExtension, sniffExtension, filenameFromDisposition, matchesExtension } = require('../scripts/lib/file-types');
+
+test('sniffs common artwork formats from their first bytes', () => {
+  const cases = {
+    '.png': Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]),
+    '.jpg': Buffer.from([0xff, 0xd8, 0xff, 0xe0]),
+    '.gif': Buffer.from('GIF89a...'),
+    '.pdf': Buffer.from('%PDF-1.7\n'),
+    '.eps': Buffer.from('%!PS-Adobe-3.0 EPSF-3.0\n'),
+    '.ps': Buffer.from('%!PS-Adobe-3.0\n'),
+    '.psd': Buffer.from('8BPS\u0000\u0001'),
+    '.tif': Buffer.from([0x49, 0x49, 0x2a, 0x00, 0x08]),
+    '.zip': Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x14]),
+    '.cdr': Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('CDRvLIST')]),
+    '.webp': Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WEBPVP8 ')]),
+    '.svg': Buffer.from('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg">'),
+    '.html': Buffer.from('<!DOCTYPE html><html>')
+  };
+  for (const [ext, bytes] of Object.entries(cases)) {
+    assert.equal(sniffExtension(bytes), ext, ext);
+  }
+  assert.equal(sniffExtension(Buffer.from('plain text')), null);
+  assert.equal(sniffExtension(Buffer.alloc(0)), null);
+});
+
+test('reads filenames from Content-Disposition', () => {
+  assert.equal(filenameFromDisposition('attachment; filename="logo final.ai"'), 'logo final.ai');
+  assert.equal(filenameFromDisposition('inline; filename=art.eps'), 'art.eps');
+  assert.equal(filenameFromDisposition("attachment; filename=\"x.bin\"; filename*=UTF-8''caf%C3%A9.pdf"), 'café.pdf');
+  assert.equal(filenameFromDisposition('inline'), null);
+});
+
+test('prefers Content-Type, then Content-Disposition, then the name, then the bytes', () => {
+  const head = Buffer.from('%PDF-1.4');
+  assert.equal(detectExtension({ contentType: 'image/png; charset=binary', name: 'a.ai', head }), '.png');
+  assert.equal(detectExtension({ contentType: 'application/octet-stream', disposition: 'attachment; filename="a.cdr"', name: 'a.ai', head }), '.cdr');
+  assert.equal(detectExtension({ contentType: 'application/octet-stream', name: 'Logo.AI', head }), '.ai');
+  assert.equal(detectExtension({ name: 'shirt-final', url: 'https://cdn.filepicker.io/abc?cache=true+.png', head }), '.png');
+  assert.equal(detectExtension({ name: 'mockup-123', mimeType: 'image/tiff', head }), '.tif');
+  assert.equal(detectExtension({ name: 'shirt v2.2024', head }), '.pdf');
+  assert.equal(detectExtension({ name: 'shirt' }), '.bin');
+});
+
+test('lets the name or the bytes choose between formats sharing application/postscript', () => {
+  const contentType = 'application/postscript';
+  assert.equal(detectExtension({ contentType, name: 'logo.ai', head: Buffer.from('%PDF-1.6') }), '.ai');
+  assert.equal(detectExtension({ contentType, disposition: 'attachment; filename="logo.eps"', name: 'logo.ai' }), '.eps');
+  assert.equal(detectExtension({ contentType, name: 'logo-final', head: Buffer.from('%!PS-Adobe-3.0\n') }), '.ps');
+  assert.equal(detectExtension({ contentType, name: 'logo-final' }), '.eps');
+});
+
+test('checks that a file\'s bytes fit its extension', () => {
+  assert.equal(matchesExtension('.pdf', Buffer.from('%PDF-1.4')), true);
+  assert.equal(matchesExtension('.ai', Buffer.from('%PDF-1.4')), true);
+  assert.equal(matchesExtension('.eps', Buffer.from('%!PS-Adobe-3.0\n')), true);
+  assert.equal(matchesExtension('.eps', Buffer.from('%PDF-1.6')), true);
+  assert.equal(matchesExtension('.ps', Buffer.from('%!PS-Adobe-3.0 EPSF-3.0\n')), true);
+  assert.equal(matchesExtension('.eps', Buffer.from('<!DOCTYPE html><html>')), false);
+  assert.equal(matchesExtension('.cdr', Buffer.from('CorelDRAW drawing data')), true);
+  assert.equal(matchesExtension('.pdf', Buffer.from('<!DOCTYPE html><html>')), false);
+  assert.equal(matchesExtension('.png', Buffer.from('not really a png')), false);
+  assert.equal(matchesExtension('.cdr', Buffer.from('<html><body>Not found')), false);
+});
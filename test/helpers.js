@@ -0,0 +1,101 @@
+/**
+ * Test sandboxes: each test gets its own copy of scripts/ with a config.js
+ * pointing at the mock server and a temporary data directory, so the real
+ * config.js and data/ are never touched.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { SESSION_COOKIE } = require('./mock-printavo');
+
+const REPO_ROOT = path.join(__dirname, '..');
+const SCRIPT_TIMEOUT = 60000;
+
+/**
+ * Create a sandbox for `mock`. Options:
+ *   pageSize - rewrite every `first:` in the query files to this, so even the
+ *              small fixture spans several pages
+ *   config   - extra config.js settings
+ */
+function createSandbox(mock, { pageSize, config = {} } = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'printavo-test-'));
+  fs.cpSync(path.join(REPO_ROOT, 'scripts'), path.join(root, 'scripts'), { recursive: true });
+
+  const queriesDir = path.join(root, 'queries');
+  fs.mkdirSync(queriesDir);
+  for (const file of fs.readdirSync(path.join(REPO_ROOT, 'queries'))) {
+    let source = fs.readFileSync(path.join(REPO_ROOT, 'queries', file), 'utf8');
+    if (pageSize) source = source.replace(/first:\s*\d+/g, `first: ${pageSize}`);
+    fs.writeFileSync(path.join(queriesDir, file), source);
+  }
+
+  const settings = {
+    PRINTAVO_EMAIL: 'test@fixture.test',
+    PRINTAVO_TOKEN: 'test-token',
+    PRINTAVO_API: mock.apiUrl,
+    PRINTAVO_SESSION_COOKIE: SESSION_COOKIE,
+    RATE_LIMIT_REQUESTS: 10,
+    RATE_LIMIT_WINDOW: 50,
+    MAX_RATE_LIMIT_RETRIES: 5,
+    RETRY_DELAY: 10,
+    MAX_RETRIES: 2,
+    REQUEST_TIMEOUT: 1000,
+    DOWNLOAD_DELAY: 1,
+    DATA_DIR: './data',
+    QUERIES_DIR: './queries',
+    ...config
+  };
+  fs.writeFileSync(path.join(root, 'config.js'), `module.exports = ${JSON.stringify(settings, null, 2)};\n`);
+
+  const dataDir = path.join(root, 'data');
+  return {
+    root,
+    dataDir,
+    file: (...parts) => path.join(dataDir, ...parts),
+    exists: (...parts) => fs.existsSync(path.join(dataDir, ...parts)),
+    readJson: (...parts) => JSON.parse(fs.readFileSync(path.join(dataDir, ...parts), 'utf8')),
+    remove: () => fs.rmSync(root, { recursive: true, force: true })
+  };
+}
+
+/**
+ * Run a script from the sandbox. Resolves to { code, signal, stdout, stderr }.
+ * With killWhen (and the mock), the script is killed with SIGKILL as soon as
+ * killWhen(request) is true for a GraphQL request the mock receives - a crash
+ * with no chance to clean up.
+ */
+function runScript(sandbox, script, { args = [], mock, killWhen } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(sandbox.root, 'scripts', script), ...args], {
+      cwd: sandbox.root,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+
+    if (killWhen) {
+      mock.onRequest = (request) => {
+        if (killWhen(request)) child.kill('SIGKILL');
+      };
+    }
+
+    const timer = setTimeout(() => child.kill('SIGKILL'), SCRIPT_TIMEOUT);
+
+    child.on('error', reject);
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (mock) mock.onRequest = null;
+      resolve({ code, signal, stdout, stderr });
+    });
+  });
+}
+
+module.exports = {
+  createSandbox,
+  runScript
+};
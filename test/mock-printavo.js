@@ -0,0 +1,310 @@
+/**
+ * Mock Printavo API for the test suite
+ *
+ * Serves GraphQL at /api/v2 from a fixture (test/fixtures/printavo.json by
+ * default) using the replay server's query engine, so pagination, cursors
+ * and nested connections behave like the real API. Fixture file URLs use
+ * {{FILES}}, which becomes this server's /files route, so download-files.js
+ * can fetch them too. File bodies are text, or base64 with
+ * `"encoding": "base64"`; fileBody(handle) returns one as a Buffer. A file
+ * with `"redirect": "<handle>"` answers with a 302 to that file instead.
+ *
+ * Order documents (publicPdf, workorderUrl...) use {{PRINTAVO}}, this
+ * server's root, and are served from the fixture's `documents` by path. A
+ * document with `"auth": "token"` needs the API email and token headers;
+ * `"auth": "session"` needs the SESSION_COOKIE and otherwise redirects to a
+ * sign-in page, like a logged-out browser. They are recorded in
+ * `documentRequests` as { path, headers }.
+ *
+ * Faults are matched against each GraphQL request, in order:
+ *   { match, type, times = 1, ... }
+ *   match: RegExp tested against the query text, or fn({ query, variables })
+ *   type:  'complexity' - the 25k complexity-limit error, with no data
+ *          '429'        - HTTP 429 with Retry-After (retryAfter seconds, default 0)
+ *          'partial'    - the normal response plus an `errors` entry (message)
+ *          'missing'    - every root field null, as for a record deleted in Printavo
+ *          'timeout'    - answers only after `delay` ms (default 2000)
+ *          '500'        - HTTP 500
+ *          'reset'      - the connection is dropped without a response
+ *   times: how many matching requests fail (Infinity for every one)
+ *
+ * Every request is recorded in `requests`; `onRequest(entry)`, if set, is
+ * called for each one (the tests use it to kill the extractor mid-run).
+ * File downloads are recorded in `fileRequests` as { handle, range }; with
+ * `fileDelay` each one is held open that long, and `peakFileConnections`
+ * reports the most that were open at once. Files are served with
+ * Accept-Ranges and a sha-256 Digest, and honour Range requests like the
+ * CDN. File faults work like faults, matched by handle:
+ *   { handle, type, times = 1 }
+ *   type: 'truncate' - sends the headers for the whole file, then drops the
+ *                      connection halfway through the body
+ *         'corrupt'  - sends the whole file with one byte changed
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createReplayData, execute } = require('../scripts/lib/graphql-replay');
+
+const DEFAULT_FIXTURE = path.join(__dirname, 'fixtures', 'printavo.json');
+
+const COMPLEXITY_MESSAGE = 'Query has complexity of 30000, which exceeds max complexity of 25000';
+
+const SESSION_COOKIE = '_printavo_session=fixture-session';
+
+const SIGN_IN_PAGE = '<!DOCTYPE html><html><body><form action="/users/sign_in" method="post">' +
+  '<input type="email" name="user[email]"><input type="password" name="user[password]"></form></body></html>';
+
+function loadFixture(file, rootUrl) {
+  const source = fs.readFileSync(file, 'utf8')
+    .replace(/\{\{FILES\}\}/g, `${rootUrl}/files`)
+    .replace(/\{\{PRINTAVO\}\}/g, rootUrl);
+  return JSON.parse(source);
+}
+
+function operationName(query) {
+  const match = query.match(/\b(?:query|mutation)\s+(\w+)/);
+  return match ? match[1] : null;
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function createMockPrintavo({ fixture = DEFAULT_FIXTURE, faults = [], fileFaults = [], fileDelay = 0 } = {}) {
+  const mock = {
+    url: null,
+    apiUrl: null,
+    fixture: null,
+    faults: faults.map(fault => ({ times: 1, ...fault })),
+    fileFaults: fileFaults.map(fault => ({ times: 1, ...fault })),
+    requests: [],
+    fileRequests: [],
+    documentRequests: [],
+    peakFileConnections: 0,
+    onRequest: null,
+    fileBody,
+    start,
+    stop
+  };
+
+  let data = null;
+  let openFileConnections = 0;
+  const timers = new Set();
+
+  const server = http.createServer((req, res) => {
+    if (req.url.startsWith('/files/')) {
+      serveFile(req, res);
+      return;
+    }
+    if (req.method === 'GET') {
+      serveDocument(req, res);
+      return;
+    }
+    if (req.method !== 'POST' || !req.url.startsWith('/api/v2')) {
+      send(res, 404, { errors: [{ message: 'Not found' }] });
+      return;
+    }
+    if (!req.headers.email || !req.headers.token) {
+      send(res, 401, { errors: [{ message: 'Unauthorized' }] });
+      return;
+    }
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const { query, variables = {} } = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      const fault = takeFault({ query, variables });
+      const entry = { operation: operationName(query), query, variables, fault: fault ? fault.type : null };
+      mock.requests.push(entry);
+      if (mock.onRequest) mock.onRequest(entry);
+      respond(req, res, query, variables, fault);
+    });
+  });
+
+  function takeFault(request) {
+    for (const fault of mock.faults) {
+      if (fault.times <= 0) continue;
+      const matches = typeof fault.match === 'function'
+        ? fault.match(request)
+        : fault.match.test(request.query);
+      if (matches) {
+        fault.times--;
+        return fault;
+      }
+    }
+    return null;
+  }
+
+  function respond(req, res, query, variables, fault) {
+    switch (fault && fault.type) {
+      case 'complexity':
+        send(res, 200, { errors: [{ message: COMPLEXITY_MESSAGE }] });
+        return;
+      case '429':
+        send(res, 429, { errors: [{ message: 'Too many requests' }] }, { 'Retry-After': String(fault.retryAfter ?? 0) });
+        return;
+      case '500':
+        send(res, 500, { errors: [{ message: 'Internal server error' }] });
+        return;
+      case 'reset':
+        req.socket.destroy();
+        return;
+      case 'timeout': {
+        const timer = setTimeout(() => {
+          timers.delete(timer);
+          if (!res.destroyed) send(res, 200, execute(query, variables, data));
+        }, fault.delay ?? 2000);
+        timers.add(timer);
+        return;
+      }
+      case 'partial': {
+        const result = execute(query, variables, data);
+        result.errors = [...(result.errors || []), { message: fault.message || 'Simulated partial failure' }];
+        send(res, 200, result);
+        return;
+      }
+      case 'missing': {
+        const result = execute(query, variables, data);
+        send(res, 200, { data: Object.fromEntries(Object.keys(result.data || {}).map(field => [field, null])) });
+        return;
+      }
+      default:
+        send(res, 200, execute(query, variables, data));
+    }
+  }
+
+  function serveFile(req, res) {
+    const handle = path.basename(req.url.split('?')[0]);
+    const file = mock.fixture.files?.[handle];
+    mock.fileRequests.push({ handle, range: req.headers.range || null });
+    if (!file) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+    if (file.redirect) {
+      res.writeHead(302, { Location: file.redirect });
+      res.end();
+      return;
+    }
+    openFileConnections++;
+    mock.peakFileConnections = Math.max(mock.peakFileConnections, openFileConnections);
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      openFileConnections--;
+      sendFile(req, res, handle, file);
+    }, fileDelay);
+    timers.add(timer);
+  }
+
+  function serveDocument(req, res) {
+    const documentPath = req.url.split('?')[0];
+    mock.documentRequests.push({ path: documentPath, headers: req.headers });
+    if (documentPath === '/users/sign_in') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(SIGN_IN_PAGE);
+      return;
+    }
+
+    const document = mock.fixture.documents?.[documentPath];
+    if (!document) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+    if (document.auth === 'token' && (!req.headers.email || !req.headers.token)) {
+      res.writeHead(401, { 'Content-Type': 'text/plain' });
+      res.end('Unauthorized');
+      return;
+    }
+    if (document.auth === 'session' && req.headers.cookie !== SESSION_COOKIE) {
+      res.writeHead(302, { Location: '/users/sign_in' });
+      res.end();
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': document.contentType });
+    res.end(document.body);
+  }
+
+  function fileBody(handle) {
+    const file = mock.fixture.files[handle];
+    return Buffer.from(file.body, file.encoding || 'utf8');
+  }
+
+  function sendFile(req, res, handle, file) {
+    const body = fileBody(handle);
+    const headers = {
+      'Content-Type': file.contentType,
+      'Accept-Ranges': 'bytes',
+      'Digest': `sha-256=${crypto.createHash('sha256').update(body).digest('base64')}`
+    };
+    if (file.disposition) headers['Content-Disposition'] = file.disposition;
+
+    let status = 200;
+    let start = 0;
+    const range = req.headers.range && req.headers.range.match(/^bytes=(\d+)-$/);
+    if (range) {
+      start = Number(range[1]);
+      if (start >= body.length) {
+        res.writeHead(416, { ...headers, 'Content-Range': `bytes */${body.length}` });
+        res.end();
+        return;
+      }
+      status = 206;
+      headers['Content-Range'] = `bytes ${start}-${body.length - 1}/${body.length}`;
+    }
+    let payload = body.subarray(start);
+    headers['Content-Length'] = payload.length;
+
+    const fault = mock.fileFaults.find(candidate => candidate.handle === handle && candidate.times > 0);
+    if (fault) fault.times--;
+    switch (fault && fault.type) {
+      case 'truncate':
+        res.writeHead(status, headers);
+        res.write(payload.subarray(0, Math.floor(payload.length / 2)), () => res.destroy());
+        return;
+      case 'corrupt':
+        payload = Buffer.from(payload);
+        payload[payload.length - 1] ^= 0xff;
+        break;
+    }
+    res.writeHead(status, headers);
+    res.end(payload);
+  }
+
+  function start() {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(0, '127.0.0.1', () => {
+        mock.url = `http://127.0.0.1:${server.address().port}`;
+        mock.apiUrl = `${mock.url}/api/v2`;
+        mock.fixture = loadFixture(fixture, mock.url);
+
+        const { account, user, invoices, quotes, files, documents, ...lists } = mock.fixture;
+        data = createReplayData({ invoices, quotes, lists, records: { account, user } });
+        resolve(mock);
+      });
+    });
+  }
+
+  function stop() {
+    for (const timer of timers) clearTimeout(timer);
+    timers.clear();
+    return new Promise(resolve => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    });
+  }
+
+  return mock;
+}
+
+module.exports = {
+  COMPLEXITY_MESSAGE,
+  SESSION_COOKIE,
+  createMockPrintavo
+};
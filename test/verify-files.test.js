@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const crypto = require('crypto');
+const { createMockPrintavo } = require('./mock-printavo');
+const { createSandbox, runScript } = require('./helpers');
+
+async function downloaded(t) {
+  const mock = await createMockPrintavo().start();
+  const sandbox = createSandbox(mock);
+  t.after(async () => {
+    sandbox.remove();
+    await mock.stop();
+  });
+
+  for (const script of ['extract-all-data.js', 'download-files.js']) {
+    const result = await runScript(sandbox, script, { mock });
+    assert.equal(result.code, 0, result.stderr);
+  }
+  return { mock, sandbox };
+}
+
+function storedPath(sandbox, printavoId) {
+  return sandbox.readJson('file-manifest.json').files.find(file => file.printavoId === printavoId).path;
+}
+
+test('passes a complete download', async (t) => {
+  const { sandbox } = await downloaded(t);
+
+  const result = await runScript(sandbox, 'verify-files.js');
+  assert.equal(result.code, 0, result.stderr);
+  assert.match(result.stdout, /ALL FILES VERIFIED/);
+
+  const report = sandbox.readJson('file-verification.json');
+  assert.deepEqual(report.problems, []);
+  assert.equal(report.summary.references, 15);
+  assert.equal(report.summary.verified, 15);
+  assert.equal(report.summary.storedFiles, 14);
+});
+
+test('reports missing, corrupt, orphaned and unreferenced files', async (t) => {
+  const { mock, sandbox } = await downloaded(t);
+  const url = handle => `${mock.url}/files/cdn.filepicker.io/${handle}`;
+
+  // Missing: deleted from the store, and never mapped
+  fs.unlinkSync(sandbox.file(storedPath(sandbox, 'pf3')));
+  const logoPath = storedPath(sandbox, 'mk3');
+  let mapping = fs.readFileSync(sandbox.file('url-mapping.csv'), 'utf8')
+    .split('\r\n')
+    .filter(row => !row.startsWith(url('mk3logo')))
+    .join('\r\n');
+
+  // Corrupt: short, changed in place, and an error page with a matching hash
+  fs.truncateSync(sandbox.file(storedPath(sandbox, 'pf1')), 4);
+  const blackPath = sandbox.file(storedPath(sandbox, 'mk2'));
+  const black = fs.readFileSync(blackPath);
+  black[black.length - 1] ^= 0xff;
+  fs.writeFileSync(blackPath, black);
+
+  const frontPath = storedPath(sandbox, 'mk1');
+  const errorPage = Buffer.from('<!DOCTYPE html><html>Link expired</html>');
+  fs.writeFileSync(sandbox.file(frontPath), errorPage);
+  const front = crypto.createHash('sha256').update(errorPage).digest('hex');
+  mapping = mapping.replace(/(\/mk1front,.*?,)[0-9a-f]{64},\d+/, `$1${front},${errorPage.length}`);
+
+  // Orphaned: a row for a URL no order uses any more
+  mapping += `${url('gone')},production-files,store/aa/gone.pdf,1001,gone.pdf,${'a'.repeat(64)},10\r\n`;
+  fs.writeFileSync(sandbox.file('url-mapping.csv'), mapping);
+
+  const result = await runScript(sandbox, 'verify-files.js');
+  assert.equal(result.code, 1);
+  assert.match(result.stdout, /PROBLEMS FOUND/);
+  const artSize = mock.fileBody('pf1art').length;
+  assert.match(result.stderr, new RegExp(`CORRUPT \\[1001\\] .*pf1art: 4 bytes, expected ${artSize}`));
+
+  const { problems, summary } = sandbox.readJson('file-verification.json');
+  const found = Object.fromEntries(problems.map(problem => [problem.url || problem.path, [problem.type, problem.reason]]));
+  assert.deepEqual(found, {
+    [url('pf3hood')]: ['missing', `${storedPath(sandbox, 'pf3')} not found`],
+    [url('mk3logo')]: ['missing', 'not downloaded'],
+    [url('pf1art')]: ['corrupt', `4 bytes, expected ${artSize}`],
+    [url('mk2black')]: ['corrupt', 'SHA-256 does not match url-mapping.csv'],
+    [url('mk1front')]: ['corrupt', 'not a valid .png file (contents look like .html)'],
+    [url('gone')]: ['orphaned', 'no order or thread references this URL'],
+    [logoPath]: ['unreferenced', 'not in url-mapping.csv']
+  });
+  assert.deepEqual(problems.find(problem => problem.url === url('pf3hood')).visualIds, ['2001']);
+  assert.equal(summary.verified, 10);
+});